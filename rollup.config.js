@@ -5,19 +5,52 @@ import commonjs from '@rollup/plugin-commonjs';
 
 const isDevelopment = process.env.NODE_ENV === 'development';
 
-export default {
-    input: 'src/index.mjs',
-    output: {
-        name: 'BadgeEditable',
-        file: 'dist/badgeeditable.js',
-        format: 'iife',
+export default [
+    {
+        input: 'src/index.mjs',
+        output: {
+            name: 'BadgeEditable',
+            file: 'dist/badgeeditable.js',
+            format: 'iife',
+        },
+        plugins: [
+            isDevelopment && serve({
+                contentBase: ['dist', 'static'],
+            }),
+            json(),
+            resolve(),
+            commonjs(),
+        ],
     },
-    plugins: [
-        isDevelopment && serve({
-            contentBase: ['dist', 'static'],
-        }),
-        json(),
-        resolve(),
-        commonjs(),
-    ],
-};
+    {
+        input: 'src/query.mjs',
+        output: {
+            name: 'BadgeEditableQuery',
+            file: 'dist/query.js',
+            format: 'iife',
+        },
+        plugins: [
+            json(),
+            resolve(),
+            commonjs(),
+        ],
+    },
+    {
+        input: {
+            react: 'src/react.mjs',
+            vue: 'src/vue.mjs',
+        },
+        external: ['react', 'vue'],
+        output: {
+            dir: 'dist',
+            format: 'es',
+            entryFileNames: '[name].mjs',
+            chunkFileNames: 'badgeeditable.mjs',
+        },
+        plugins: [
+            json(),
+            resolve(),
+            commonjs(),
+        ],
+    },
+];
@@ -0,0 +1,58 @@
+/**
+ * The properties of a {@link BadgeEditable} that the framework bindings
+ * assign from their props, rather than constructing a new control, when
+ * the props change.
+ *
+ * @type {Array.<String>}
+ * @private
+ */
+export const properties = [
+    'name',
+    'disabled',
+    'readOnly',
+    'reorderable',
+    'removable',
+    'maxBadges',
+    'maxLength',
+    'label',
+    'placeholder',
+    'validLabel',
+    'parser',
+];
+
+/**
+ * Compares two parser objects by their members, so that a parser object that
+ * is created anew for every render does not make the control parse its text
+ * again.
+ *
+ * @param {Object} parser
+ * @param {Object} other
+ * @returns {Boolean} `true` if both have the same parse and validate
+ *     functions and the same separator.
+ * @private
+ */
+function isSameParser(parser, other) {
+    return parser === other || Boolean(parser && other
+        && parser.parse === other.parse
+        && parser.validate === other.validate
+        && parser.separator === other.separator);
+}
+
+/**
+ * Assigns the defined props that differ from the properties of a control.
+ *
+ * @param {BadgeEditable} control - to be updated
+ * @param {Object} props - of the component
+ * @private
+ */
+export function assignProperties(control, props) {
+    for (const name of properties) {
+        const value = props[name];
+        if (value === undefined) {
+            continue;
+        }
+        if (name === 'parser' ? !isSameParser(control.parser, value) : control[name] !== value) {
+            control[name] = value;
+        }
+    }
+}
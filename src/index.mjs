@@ -1,15 +1,84 @@
 import { version } from '../package.json';
+import {
+    DelimiterParser,
+    CSVParser,
+    RecipientParser,
+    FilterParser,
+    fromGrammar,
+} from './parsers.mjs';
 
 function getBadgeElement(node) {
     if (!node) {
         return;
     }
-    if (node.nodeName === 'SPAN' && node.classList.contains('badge')) {
+    if (node.nodeName === 'SPAN' && node.classList.contains('badge')
+        && !node.closest('.badge-decoration')) {
         return node;
     }
     return getBadgeElement(node.parentElement);
 }
 
+/**
+ * Determines whether the specified child of a badge's DOM element is one of
+ * its decorations or its action buttons, i.e. content that is not part of the
+ * badge's text.
+ *
+ * @param {Node} node - a child of the badge
+ * @returns {Boolean} `true` if node is not editable.
+ * @private
+ */
+function isDecoration(node) {
+    return node.nodeType === Node.ELEMENT_NODE
+        && node.matches('.badge-decoration, .badge-actions');
+}
+
+/**
+ * The sentinal of a badge's DOM element, i.e. its last element unless that
+ * is a decoration.
+ *
+ * @param {Node} node - of the badge
+ * @returns {Element} The sentinal, or `null` if the badge has none.
+ * @private
+ */
+function getSentinal(node) {
+    const sentinal = node.lastElementChild;
+    return sentinal && !isDecoration(sentinal) ? sentinal : null;
+}
+
+/**
+ * The text nodes that make up the text of a badge, excluding those within
+ * its decorations and action buttons.
+ *
+ * @param {Node} node - of the badge
+ * @returns {Array.<Text>} The text nodes in document order.
+ * @private
+ */
+function getTextNodes(node) {
+    const walker = node.ownerDocument.createTreeWalker(node,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: child => child.nodeType === Node.TEXT_NODE
+                ? NodeFilter.FILTER_ACCEPT
+                : isDecoration(child) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP,
+        });
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+    return nodes;
+}
+
+/**
+ * The text of a badge, i.e. its text content without the text of its
+ * decorations.
+ *
+ * @param {Node} node - of the badge
+ * @returns {String} The text.
+ * @private
+ */
+function getBadgeText(node) {
+    return getTextNodes(node).map(text => text.data).join('');
+}
+
 function hasEmptyBadgeAfter(node) {
     return node.nextElementSibling && node.nextElementSibling.classList.contains('badge-empty');
 }
@@ -18,6 +87,96 @@ function hasEmptyBadgeBefore(node) {
     return node.previousElementSibling && node.previousElementSibling.classList.contains('badge-empty');
 }
 
+let instanceSequence = 0;
+
+/**
+ * The classes that a control toggles on its element.
+ *
+ * @type {Array.<String>}
+ * @private
+ */
+const hostClasses = ['disabled', 'readonly', 'badge-placeholder-shown', 'badge-max-badges'];
+
+function getOffset(item, edge) {
+    const location = item && item.location;
+    if (location && location[edge] && 'offset' in location[edge]) {
+        return location[edge].offset;
+    }
+}
+
+function isThenable(value) {
+    return value !== null && typeof value === 'object'
+        && typeof value.then === 'function';
+}
+
+/**
+ * Compares the own enumerable properties of two data objects, other than
+ * their keys and the locations given to them by the parser.
+ *
+ * @param {BadgeUserData} value
+ * @param {BadgeUserData} other
+ * @returns {Boolean} `true` if every property is the same.
+ * @private
+ */
+function isSameValue(value, other) {
+    const compared = name => name !== 'key' && name !== 'location';
+    const names = Object.keys(value).filter(compared);
+    const otherNames = Object.keys(other).filter(compared);
+    return names.length === otherNames.length && names.every(name =>
+        Object.prototype.hasOwnProperty.call(other, name)
+        && Object.is(value[name], other[name]));
+}
+
+function splice(text, start, end, input) {
+    return text.substring(0, start) + input + text.substring(end);
+}
+
+/**
+ * The text of a badge for announcements.
+ *
+ * @param {BadgeUserData} value - of the badge
+ * @param {Node} node - of the badge
+ * @returns {String} The text.
+ * @private
+ */
+function getAnnouncedText(value, node) {
+    if (value && 'text' in value) {
+        return value.text;
+    }
+    return getBadgeText(node);
+}
+
+/**
+ * Describes a change to the badges of a {@link BadgeEditable} control in
+ * English.
+ *
+ * Default {@link Announcer} used by {@link BadgeEditable}.
+ *
+ * @function EnglishAnnouncer
+ * @param {ChangeEvent|InvalidEvent} event - the change; invalid events have
+ *     the type 'invalid'
+ * @returns {String} The announcement.
+ */
+const EnglishAnnouncer = function EnglishAnnouncer(event) {
+    switch (event.type) {
+    case 'add':
+        return `Added ${getAnnouncedText(event.value, event.node)}.`;
+    case 'delete':
+        return `Removed ${getAnnouncedText(event.previousValue, event.node)}.`;
+    case 'change': {
+        const previous = getAnnouncedText(event.previousValue, event.node);
+        const text = getAnnouncedText(event.value, event.node);
+        return previous === text ? undefined : `Changed ${previous} to ${text}.`;
+    }
+    case 'move':
+        return `Moved ${getAnnouncedText(event.value, event.node)} to position ${event.index + 1}.`;
+    case 'invalid':
+        return event.message
+            ? `${event.text} is invalid: ${event.message}`
+            : `${event.text} is invalid.`;
+    }
+}
+
 /**
  * Represents the user defined data associated to a badge within the {@link
  * BadgeEditable} input control.  These values are emitted by the control's
@@ -36,6 +195,8 @@ function hasEmptyBadgeBefore(node) {
  *     the ending location (exclusive)
  * @property {Node|SentinalGenerator} [sentinal] - a node or generator to be
  *     used for the badge element's sentinal
+ * @property {*} [error] - when present, the badge is invalid and this is the
+ *     reason (a message or an object with a message)
  */
 
 /**
@@ -43,12 +204,34 @@ function hasEmptyBadgeBefore(node) {
  * an array of [badge data]{@link BadgeUserData} objects.  These objects are
  * then associated to DOM elements within the {@link BadgeEditable} control.
  *
+ * A Parser may also return a Promise of the array, in which case the badges
+ * that are being parsed are given the `badge-pending` class until the Promise
+ * settles.  A rejected Promise is treated the same as a thrown error.
+ *
  * @typedef Parser
  * @function
  * @param {String} source - text to be parsed into [badge data]{@link
  *     BadgeUserData} objects
- * @returns {Array.<BadgeUserData>} An array of [badge data]{@link BadgeUserData}
- *     objects.
+ * @returns {Array.<BadgeUserData>|Promise.<Array.<BadgeUserData>>} An array
+ *     of [badge data]{@link BadgeUserData} objects.
+ */
+
+/**
+ * A Validator is called for every [badge data]{@link BadgeUserData} object
+ * that the control's {@link Parser} recognises as a badge.  The badge is only
+ * valid when the Validator does not return (or resolve to) `false`, a message
+ * or an Error and does not throw (or reject).  While a returned Promise is
+ * pending the badge is given the `badge-pending` class.
+ *
+ * @typedef Validator
+ * @function
+ * @param {BadgeUserData} value - the parsed data object of the badge
+ * @param {Object} context
+ * @param {Element} context.node - the badge's element
+ * @param {Number} context.key - the badge's unique key
+ * @returns {Boolean|String|Error|Promise} `false`, or the reason, if the badge
+ *     is invalid.  The reason for `false` is {@link
+ *     BadgeEditable.invalidMessage}.
  */
 
 /**
@@ -154,17 +337,195 @@ const CommaSeparatedParser = function CommaSeparatedParser(source) {
  * @event BadgeEditable#change
  * @type {Array.<ChangeEvent>}
  */
+/**
+ * Fires whenever a badge becomes invalid, or the error of an invalid badge
+ * changes.
+ *
+ * @event BadgeEditable#invalid
+ * @type {Array.<InvalidEvent>}
+ */
+/**
+ * Fires whenever input is blocked because it would exceed the maximum number
+ * of badges or the maximum length of a badge.
+ *
+ * @event BadgeEditable#limit
+ * @type {LimitEvent}
+ */
+/**
+ * Fires whenever the element of a control gains focus.
+ *
+ * @event BadgeEditable#focus
+ * @type {FocusEvent}
+ */
+/**
+ * Fires whenever the element of a control loses focus.
+ *
+ * @event BadgeEditable#blur
+ * @type {FocusEvent}
+ */
+/**
+ * Fires whenever a badge, or the empty badge between two badges, becomes the
+ * badge being edited, i.e. gains the `badge-active` class.
+ *
+ * @event BadgeEditable#activate
+ * @type {ActivateEvent}
+ */
+/**
+ * Fires whenever the parser splits the text of a badge into several badges,
+ * after the change events of the split.
+ *
+ * @event BadgeEditable#split
+ * @type {SplitEvent}
+ */
+/**
+ * Event object for [activate events]{@link BadgeEditable#activate}.
+ *
+ * @typedef ActivateEvent
+ * @property {Node} node - the badge element.
+ * @property {Number} key - the unique key of the badge.
+ * @property {BadgeUserData} [value] - the user defined badge data object of a
+ *     valid badge.
+ */
+/**
+ * Event object for [split events]{@link BadgeEditable#split}.
+ *
+ * @typedef SplitEvent
+ * @property {Node} node - the badge element that was split, it becomes the
+ *     first of the badges.
+ * @property {Array.<Node>} nodes - the badge elements that the text was split
+ *     into.
+ * @property {Array.<BadgeUserData>} values - the items of the parser for each
+ *     of the badges.
+ */
+/**
+ * Event object for [limit events]{@link BadgeEditable#limit}.
+ *
+ * @typedef LimitEvent
+ * @property {String} type - either 'maxBadges' or 'maxLength'.
+ * @property {Number} limit - the limit that would have been exceeded.
+ * @property {Node} node - the badge element into which the input was entered.
+ * @property {String} input - the input that was blocked.
+ */
+/**
+ * Event object for [invalid events]{@link BadgeEditable#invalid}.
+ *
+ * @typedef InvalidEvent
+ * @property {Node} node - the badge element.
+ * @property {Number} key - the unique key of the badge.
+ * @property {String} text - the text content of the badge.
+ * @property {*} error - the error thrown (or returned) by the parser or
+ *     validator.
+ * @property {String} message - the message of error.
+ */
 /**
  * Event object for [change events]{@link BadgeEditable#change}.
  *
  * @typedef ChangeEvent
- * @property {String} type - one of 'add', 'delete' or 'change'.
+ * @property {String} type - one of 'add', 'delete', 'change', 'move',
+ *     'reject' or 'merge' (a new duplicate badge that was discarded).
  * @property {Node} node - the badge element.
  * @property {BadgeUserData} [value] - the user defined badge data object for a
- *     badge being added or changed.
+ *     badge being added, changed or moved.
  * @property {BadgeUserData} [previousValue] - the user defined badge data
  *     object for auser defined badge data object for a badge being deleted or
  *     changed.
+ * @property {Number} [index] - the new index of a badge being moved.
+ * @property {Number} [duplicateOf] - the key of the badge that a duplicate
+ *     badge conflicts with, see the `unique` option of {@link BadgeEditable}.
+ * @property {Number} [previousIndex] - the old index of a badge being moved.
+ */
+
+/**
+ * A SuggestionProvider is called with the text of the badge that the user is
+ * editing and returns the [badge data]{@link BadgeUserData} objects that the
+ * user may choose from.  Each object is displayed by its `label`, or its
+ * `text` when it has no label.  A chosen object becomes the value of the
+ * badge, as if it had been emitted by the control's {@link Parser}.
+ *
+ * @typedef SuggestionProvider
+ * @function
+ * @param {String} text - the text of the active badge
+ * @param {Object} context
+ * @param {Element} context.node - the active badge's element
+ * @param {Number} context.key - the active badge's unique key
+ * @param {Number} context.offset - the offset of the caret into text
+ * @param {BadgeUserData} [context.value] - the active badge's current data
+ *     object, if it is valid
+ * @returns {Array.<BadgeUserData>|Promise.<Array.<BadgeUserData>>} The
+ *     suggested data objects.
+ */
+
+/**
+ * Converts a badge into the value submitted with a form.
+ *
+ * @callback BadgeEditable~Serializer
+ * @param {BadgeUserData} badge - user defined data
+ * @param {Number} key - the unique key of the badge
+ * @returns {String} The form value of the badge.
+ */
+
+/**
+ * An Announcer describes a change to the badges of a {@link BadgeEditable}
+ * control, which is announced to assistive technology through a polite live
+ * region.
+ *
+ * @typedef Announcer
+ * @function
+ * @param {ChangeEvent|InvalidEvent} event - the change; invalid events have
+ *     the type 'invalid'
+ * @returns {String} The announcement, or nothing if the change is not to be
+ *     announced.
+ */
+
+/**
+ * An action that the user may perform on a valid badge, such as edit or open
+ * a menu.  Each action is rendered as a button within the badge, which has no
+ * text content of its own; its icon is shown by the stylesheet.
+ *
+ * @typedef BadgeAction
+ * @property {String} name - identifies the action, the button has the class
+ *     name `badge-action-${name}`
+ * @property {String} label - the accessible label of the button
+ * @property {String} [icon] - shown within the button
+ * @property {BadgeEditable~ActionHandler} handler - called when the button is
+ *     clicked
+ */
+
+/**
+ * Called when the user clicks the button of a {@link BadgeAction}.
+ *
+ * @callback BadgeEditable~ActionHandler
+ * @param {Object} context
+ * @param {Number} context.key - the unique key of the badge
+ * @param {Element} context.node - the badge's element
+ * @param {BadgeUserData} context.value - the badge's data object
+ * @param {BadgeEditable} context.control - the control of the badge
+ */
+
+/**
+ * Called when a badge becomes valid, or its data object changes, to decorate
+ * the badge's element with content that is not part of its text, such as an
+ * avatar, an icon or a count.  Any nodes that are inserted into the element
+ * are given the `badge-decoration` class and are not editable; they precede
+ * or follow the badge's text according to where they are inserted.  The
+ * badge's text must not be changed.  Decorations, and any classes that are
+ * added to the element, are removed before the badge is rendered again and
+ * when it becomes invalid.
+ *
+ * @example
+ * new BadgeEditable(element, {
+ *     renderBadge(value, node) {
+ *         const avatar = document.createElement('img');
+ *         avatar.src = `/avatars/${value.address}`;
+ *         node.prepend(avatar);
+ *         return value.external ? 'warning' : 'primary';
+ *     },
+ * });
+ * @callback BadgeEditable~BadgeRenderer
+ * @param {BadgeUserData} value - the badge's data object
+ * @param {Element} node - the badge's element
+ * @returns {String} The contextual class name suffix of the badge, used
+ *     instead of validLabel; or nothing to use validLabel.
  */
 
 /**
@@ -178,12 +539,73 @@ const CommaSeparatedParser = function CommaSeparatedParser(source) {
  * @param {String} [options.validLabel='primary'] - class name to add to valid
  *     badges
  * @param {function} [options.onChange] - called when a badge value changes, is
- *     added or removed, defaults to a no-op.
+ *     added or removed, defaults to a no-op; see {@link BadgeEditable#on}
+ *     for more listeners.
+ * @param {function} [options.onInvalid] - called when a badge becomes invalid,
+ *     defaults to a no-op.
  * @param {Parser} [options.parser.parse=CommaSeparatedParser] - used to
  *     recognise valid badges
+ * @param {Validator} [options.parser.validate] - used to check the badges
+ *     recognised by the parser, by default all recognised badges are valid.
+ * @param {String} [options.parser.separator=','] - placed between badges that
+ *     are not otherwise separated in the text content, it must split the text
+ *     into separate badges when parsed.
  * @param {SentinalGenerator} [optional.makeSentinal] - generates a sentinal
  *     element for new and prospective badge elements, default creates new
  *     HTMLBRElements.
+ * @param {Number} [options.historySize=100] - the maximum number of states
+ *     kept for undo and redo.
+ * @param {SuggestionProvider} [options.suggest] - provides suggestions for
+ *     the active badge, no suggestions are shown by default.
+ * @param {Number} [options.suggestDelay=150] - milliseconds to wait after the
+ *     active badge changes before requesting suggestions.
+ * @param {Number} [options.suggestMinLength=1] - the minimum length of text
+ *     for which suggestions are requested.
+ * @param {String} [options.name] - the name under which the badges are
+ *     submitted with a form, defaults to the element's name attribute.
+ * @param {BadgeEditable~Serializer} [options.serialize] - converts a badge
+ *     into its submitted form value, defaults to the badge's text.
+ * @param {Boolean} [options.required] - when `true` the control is invalid
+ *     without any badges, defaults to the presence of the element's required
+ *     attribute.
+ * @param {Number} [options.minBadges=0] - the minimum number of badges for the
+ *     control to be valid.
+ * @param {Number} [options.maxBadges=Infinity] - the maximum number of badges,
+ *     input that would create more badges is blocked and the control is
+ *     invalid when it has more badges.
+ * @param {Number} [options.maxLength=Infinity] - the maximum length of the text
+ *     of a badge, input that would make a badge longer is blocked.
+ * @param {Function} [options.onLimit] - called with a {@link LimitEvent} when
+ *     input is blocked by maxBadges or maxLength.
+ * @param {String} [options.placeholder] - shown while the control is empty,
+ *     defaults to the element's placeholder attribute.
+ * @param {Boolean} [options.readOnly] - when `true` the badges can not be
+ *     edited, defaults to the presence of the element's readonly attribute.
+ * @param {Boolean} [options.reorderable=false] - when `true` the badges can
+ *     be reordered by dragging them, or with Alt+Left and Alt+Right.
+ * @param {Boolean} [options.removable=false] - when `true` valid badges have a
+ *     button that removes the badge.
+ * @param {Array.<BadgeAction>} [options.actions=[]] - rendered as buttons
+ *     within valid badges, after the remove button.
+ * @param {Function} [options.unique] - called with the data object of each
+ *     valid badge, returns the key by which duplicate badges are detected.
+ * @param {String} [options.duplicatePolicy=mark] - what becomes of a new
+ *     badge that duplicates another: 'mark' gives it the `badge-duplicate`
+ *     class, 'reject' discards it and 'merge' discards it and moves the caret
+ *     to the other badge.  A badge is not discarded while it is being edited.
+ * @param {String} [options.label] - the accessible label of the control,
+ *     defaults to the element's aria-label attribute or the text of its label
+ *     element.
+ * @param {Announcer} [options.announce=EnglishAnnouncer] - describes changes to
+ *     assistive technology.
+ * @param {ElementInternals} [options.internals] - of a form-associated custom
+ *     element, used instead of hidden input elements.
+ * @param {BadgeEditable~BadgeRenderer} [options.renderBadge] - decorates valid
+ *     badges, by default valid badges are only given the validLabel class.
+ * @param {Boolean} [options.atomic=false] - when `true` valid badges are
+ *     selected, and deleted, as a whole; double clicking a valid badge, or
+ *     pressing Enter while it is selected, edits its source text until Enter
+ *     is pressed or the control loses focus, or Escape cancels the edit.
  *
  * @constructor
  */
@@ -192,9 +614,120 @@ function BadgeEditable(
     {
         validLabel = 'primary',
         onChange = null,
+        onInvalid = null,
         parser = { parse: CommaSeparatedParser },
         makeSentinal = () => document.createElement('br'),
+        historySize = 100,
+        suggest = null,
+        suggestDelay = 150,
+        suggestMinLength = 1,
+        name = element.getAttribute('name'),
+        serialize = value => 'text' in value ? value.text : String(value),
+        required = element.hasAttribute('required'),
+        minBadges = 0,
+        maxBadges = Infinity,
+        maxLength = Infinity,
+        onLimit = null,
+        placeholder = element.getAttribute('placeholder'),
+        readOnly = element.hasAttribute('readonly'),
+        reorderable = false,
+        removable = false,
+        actions = [],
+        unique = null,
+        duplicatePolicy = 'mark',
+        label = element.getAttribute('aria-label'),
+        announce = EnglishAnnouncer,
+        internals = null,
+        renderBadge = null,
+        atomic = false,
     } = {}) {
+    /**
+     * The attributes of element before it became this control, restored by
+     * {@link BadgeEditable#destroy} (only the classes that it toggles).
+     *
+     * @type {Array.<Array.<String>>}
+     * @inner
+     * @private
+     */
+    const originalAttributes = Array.from(element.attributes,
+        attribute => [attribute.name, attribute.value]);
+    /**
+     * The event listeners added by this control, removed by {@link
+     * BadgeEditable#destroy}.
+     *
+     * @type {Array.<Array>}
+     * @inner
+     * @private
+     */
+    const listeners = [];
+    /**
+     * The label of element that was given an id by this control, so that it
+     * could label element, from which {@link BadgeEditable#destroy} removes
+     * that id.
+     *
+     * @type {?Element}
+     * @inner
+     * @private
+     */
+    let namedLabel = null;
+    /**
+     * This control, passed to the handlers of badge actions.
+     *
+     * @type {BadgeEditable}
+     * @inner
+     * @private
+     */
+    const control = this;
+    /**
+     * The polite live region through which changes are announced, the
+     * announcements waiting to be made and the keys of the badges that were
+     * announced as invalid.
+     *
+     * @type {Object}
+     * @property {Element} region - the live region
+     * @property {Array.<String>} messages - to be announced
+     * @property {Set.<Number>} invalid - the keys of invalid badges
+     * @inner
+     * @private
+     */
+    const live = {region: null, messages: [], invalid: new Set()};
+    /**
+     * The listbox that owns the badges of this control, so that each badge
+     * is an option of a list rather than of the text box.
+     *
+     * @type {Element}
+     * @inner
+     * @private
+     */
+    const badgeList = document.createElement('div');
+    /**
+     * The duplicate badges that are being edited, which are discarded once
+     * they are no longer being edited.
+     *
+     * @type {Set.<Element>}
+     * @inner
+     * @private
+     */
+    const deferredDuplicates = new Set();
+    /**
+     * The badge being dragged and the spacer showing where it will be dropped.
+     *
+     * @type {Object}
+     * @property {Element} [node] - the badge being dragged
+     * @property {Element} [indicator] - the spacer before which the badge
+     *     will be dropped
+     * @inner
+     * @private
+     */
+    const drag = {node: null, indicator: null};
+    /**
+     * `true` once this control has been destroyed.
+     *
+     * @type {Boolean}
+     * @inner
+     * @private
+     */
+    let destroyed = false;
     /**
      * Contains the node the user is currently editing.
      *
@@ -203,6 +736,29 @@ function BadgeEditable(
      * @private
      */
     let activeNode = null;
+    /**
+     * The valid badge whose source text is being edited in atomic mode, see
+     * {@link openEditor}, `null` when no badge is being edited.
+     *
+     * @type {Object}
+     * @property {Element} node - of the badge
+     * @property {String} text - of the badge before it was edited
+     * @property {String} source - the source text that was being edited,
+     *     without the text that followed the badge
+     * @inner
+     * @private
+     */
+    let editing = null;
+    /**
+     * `true` when the active badge was valid when it was activated, so that
+     * in atomic mode it is a single unit, rather than a badge that is being
+     * entered.
+     *
+     * @type {Boolean}
+     * @inner
+     * @private
+     */
+    let activeAtomic = false;
     /**
      * Contains the last badgeKey that was created.  badgeKeys start at 1 and
      * are incremented by one.  The current value will be the last badgeKey that
@@ -222,462 +778,4941 @@ function BadgeEditable(
      */
     const badgeMap = new Map();
     /**
-     * Called when a badge value changes, added or removed.
+     * The listeners of each type of event, see {@link BadgeEditable#on}.
      *
-     * @type {function}
+     * @type {Map.<String, Set.<function>>}
      * @inner
      * @private
      */
-    const emit = onChange;
-
-    element.contentEditable = 'true';
-
+    const eventListeners = new Map();
+    for (const [type, listener] of [
+        ['change', onChange],
+        ['invalid', onInvalid],
+        ['limit', onLimit],
+    ]) {
+        if (listener) {
+            on(type, listener);
+        }
+    }
     /**
-     * Number of badges in this BadgeEditable control.
+     * Collects the change events of the current transaction, `null` when no
+     * transaction is in progress.
      *
-     * @member {Number}
+     * @type {Array.<ChangeEvent>}
+     * @inner
+     * @private
      */
-    function length() {
-        return badgeMap.size;
-    }
-
+    let pendingChanges = null;
     /**
-     * `true` when this control is the active element in its document, `false`
-     * otherwise.
+     * `true` while an input method editor is composing text, during which the
+     * text of the active badge is left to the browser.
      *
-     * @member {Boolean}
+     * @type {Boolean}
+     * @inner
+     * @private
      */
-    function isActive() {
-        return element.ownerDocument.activeElement === element;
-    }
-
+    let composing = false;
     /**
-     * Calls the specified callback for each badge in this control.
+     * Contains the recorded states of this control, for undo and redo.
      *
-     * @param {BadgeEditable~BadgeCallback} callback - called for each badge
+     * @type {Array.<HistoryState>}
+     * @inner
+     * @private
      */
-    function forEach(callback) {
-        for (let i = 0; i < element.childElementCount; i++) {
-            const child = element.children[i];
-            const badgeKey = Number(child.dataset.badgeKey);
-            if (badgeMap.has(badgeKey)) {
-                callback(badgeMap.get(badgeKey).value, child, badgeKey);
-            }
-        }
-    }
-
+    const history = [];
     /**
-     * The user defined data objects for each badge in this control.
+     * The index into history of the current state.
      *
-     * @member {Array.<BadgeUserData>}
-     * @fires BadgeEditable#change
+     * @type {Number}
+     * @inner
+     * @private
      */
-    function value() {
-        const data = [];
-        this.forEach((badge, node, key) => {
-            data.push(Object.assign({key}, badge));
-        });
-        return data;
-    }
-    function valueSetter(value) {
-        const changes = [];
-        this.forEach((previousValue, node) => {
-            changes.push({type: 'delete', node, previousValue});
-            element.removeChild(node);
-        });
-        badgeMap.clear();
-        for (const node of element.querySelectorAll('.badge-empty')) {
-            element.removeChild(node);
-        }
-        value.forEach(value => {
-            const textContent = 'text' in value ? value.text : value.toString();
-            const node = makeChild(textContent)
-            const badgeKey = Number(node.dataset.badgeKey);
-            const data = {value, textContent};
-            node.classList.remove('badge-invalid');
-            node.classList.add(`badge-${validLabel}`);
-            element.appendChild(node);
-            badgeMap.set(badgeKey, data);
-            enableBadge(node, data);
-            changes.push({type: 'add', node, value});
-        });
-        if (emit) emit(changes);
-    }
-
+    let historyIndex = -1;
     /**
-     * The text content of this BadgeEditable control.
-     *
-     * This is a writable property and will initiate this BadgeEditable's
-     * [parser]{@link Parser}.
+     * `true` while a state from history is being restored, during which no
+     * new states are recorded.
      *
-     * @member {String}
+     * @type {Boolean}
+     * @inner
+     * @private
      */
-    function textContent() {
+    let restoring = false;
+    /**
+     * A unique identifier of this control, used for the ids of its elements.
+     *
+     * @type {Number}
+     * @inner
+     * @private
+     */
+    const instanceKey = ++instanceSequence;
+    /**
+     * The state of the suggestions of the active badge.
+     *
+     * @type {Object}
+     * @property {Element} [listbox] - the element that lists the suggestions
+     * @property {Node} [node] - the badge for which suggestions are listed
+     * @property {String} [text] - the text for which suggestions are listed
+     * @property {Array.<BadgeUserData>} items - the suggestions
+     * @property {Number} index - of the highlighted suggestion, -1 for none
+     * @property {Number} request - the sequence number of the latest request
+     * @property {Number} [timer] - of the delayed request
+     * @inner
+     * @private
+     */
+    const suggestions = {items: [], index: -1, request: 0};
+    /**
+     * The text and result of the last call to the parser, which is reused
+     * when the same text is parsed again.
+     *
+     * @type {Object}
+     * @inner
+     * @private
+     */
+    let lastParse = {};
+    /**
+     * Contains the sequence number and text of the latest pending parse or
+     * validation of every badge that is waiting on a Promise.
+     *
+     * @type {Map.<Number, Object>}
+     * @inner
+     * @private
+     */
+    const pendingRequests = new Map();
+    /**
+     * Contains the last sequence number given to a pending request.
+     *
+     * @type {Number}
+     * @inner
+     * @private
+     */
+    let requestSequence = 0;
+    /**
+     * Contains the sequence number of the latest replacement of every badge,
+     * by the textContent or value property, so that the result of an
+     * asynchronous parser is only applied when it is still the latest.
+     *
+     * @type {Number}
+     * @inner
+     * @private
+     */
+    let replaceSequence = 0;
+    /**
+     * Contains the error of every invalid badge that has one.
+     *
+     * @type {Map.<Number, *>}
+     * @inner
+     * @private
+     */
+    const badgeErrors = new Map();
+    /**
+     * The text around the text content of each invalid badge in its source
+     * text, such as delimiters, which the data of a valid badge keeps in its
+     * `rawText`.
+     *
+     * @type {Map.<Number, {leading: String, trailing: String}>}
+     * @inner
+     * @private
+     */
+    const invalidSources = new Map();
+    /**
+     * Contains the class names that were added to every decorated badge, by
+     * {@link BadgeEditable~BadgeRenderer} or for its validLabel.
+     *
+     * @type {Map.<Number, Array.<String>>}
+     * @inner
+     * @private
+     */
+    const badgeClasses = new Map();
+    /**
+     * Contains the tooltip element of every badge that has an error.
+     *
+     * @type {Map.<Number, Element>}
+     * @inner
+     * @private
+     */
+    const errorTooltips = new Map();
+    /**
+     * The state of this control's participation in forms.
+     *
+     * @type {Object}
+     * @property {Element} [inputs] - contains the hidden input elements,
+     *     created once this control takes part in a form
+     * @property {HTMLInputElement} [proxy] - carries the validity of this
+     *     control when there are no internals
+     * @property {String} customError - the message given to
+     *     {@link BadgeEditable#setCustomValidity}
+     * @property {Array.<BadgeUserData>} defaultValue - restored on reset
+     * @property {Boolean} disabled - set by {@link BadgeEditable#disabled}
+     * @property {Boolean} formDisabled - `true` within a disabled fieldset
+     * @property {HTMLFormElement} [owner] - the form whose reset is observed
+     * @property {MutationObserver} [observer] - of the disabled fieldsets
+     * @inner
+     * @private
+     */
+    const formState = {
+        customError: '',
+        defaultValue: [],
+        disabled: false,
+        formDisabled: false,
+    };
+
+    element.contentEditable = 'true';
+    if (!element.hasAttribute('role')) {
+        element.setAttribute('role', suggest ? 'combobox' : 'textbox');
+    }
+    if (suggest) {
+        element.setAttribute('aria-autocomplete', 'list');
+        element.setAttribute('aria-haspopup', 'listbox');
+        element.setAttribute('aria-expanded', 'false');
+    }
+    if (label) {
+        element.setAttribute('aria-label', label);
+    } else if (element.id && !element.hasAttribute('aria-labelledby')) {
+        const labelElement = element.ownerDocument.querySelector(
+            `label[for="${element.id}"]`);
+        if (labelElement) {
+            if (!labelElement.id) {
+                labelElement.id = `badgeeditable-${instanceKey}-label`;
+                namedLabel = labelElement;
+            }
+            element.setAttribute('aria-labelledby', labelElement.id);
+        }
+    }
+
+    /**
+     * Emits the specified change events, unless a transaction is in progress,
+     * in which case they are emitted when the transaction completes.
+     *
+     * @param {Array.<ChangeEvent>} changes - to be emitted
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function dispatch(changes) {
+        if (pendingChanges) {
+            pendingChanges.push(...changes);
+        } else if (changes.length) {
+            queueAnnouncements(changes);
+            fire('change', changes);
+        }
+    }
+
+    /**
+     * Calls the specified function and emits all the change events dispatched
+     * during that call as a single batch.  Nested transactions are merged into
+     * the outermost transaction.  The resulting state of this control is
+     * recorded in its history.
+     *
+     * @param {function} fn - performs the changes
+     * @param {Boolean} [coalesce=false] - `true` if the resulting state may
+     *     replace the current state in history, see {@link record}
+     * @returns {*} The value returned by fn.
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function transaction(fn, coalesce=false) {
+        if (pendingChanges) {
+            return fn();
+        }
+        pendingChanges = [];
+        try {
+            return fn();
+        } finally {
+            resolveDuplicates();
+            const changes = pendingChanges;
+            pendingChanges = null;
+            dispatch(changes);
+            record(coalesce);
+            if (!restoring) {
+                requestSuggestions();
+            }
+            showErrorTooltip();
+            updateForm();
+            updatePlaceholder();
+            updateDraggable();
+            updateActions();
+            updateAria();
+            updateLimits();
+        }
+    }
+
+    /**
+     * A recorded state of a BadgeEditable control.  Empty badges are not
+     * recorded, they are recreated between the recorded badges when the state
+     * is restored.
+     *
+     * @typedef HistoryState
+     * @property {Array.<Object>} badges - the key, class name, text and
+     *     {@link BadgeData} (for valid badges) of each badge.
+     * @property {Object} [caret] - the number of badges before the active
+     *     badge, whether the active badge is empty and the caret's offset.
+     * @property {String} signature - identifies the text and validity of the
+     *     badges of the state, but not the caret nor the source text of the
+     *     badges, so that a state is not recorded for every caret movement.
+     * @property {Boolean} coalesce - `true` if this state may be replaced.
+     * @private
+     */
+
+    /**
+     * Captures the current state of this control.
+     *
+     * @param {Boolean} [coalesce=false] - `true` if the state may be replaced
+     * @returns {HistoryState} The current state.
+     * @inner
+     * @private
+     */
+    function snapshot(coalesce=false) {
+        const badges = [];
+        let caret = null;
+        for (const node of element.children) {
+            const empty = node.classList.contains('badge-empty')
+                && getBadgeText(node) === '';
+            if (node === activeNode && isActive()) {
+                const [, offset] = getSelectionOffsets(node);
+                caret = {index: badges.length, empty, offset};
+            }
+            if (empty) {
+                continue;
+            }
+            const badgeKey = Number(node.dataset.badgeKey);
+            const data = badgeMap.get(badgeKey);
+            const decorated = badgeClasses.get(badgeKey) || [];
+            badges.push({
+                badgeKey,
+                className: node.className.replace(/\s*\bbadge-(active|pending|dragging|drop-indicator|max-length)\b/g, '')
+                    .split(' ').filter(name => !decorated.includes(name)).join(' '),
+                text: getBadgeText(node),
+                data: data && Object.assign({}, data),
+                error: badgeErrors.get(badgeKey),
+            });
+        }
+        const signature = JSON.stringify(badges.map(({badgeKey, className, text, data}) => [
+            badgeKey, className, text,
+        ]));
+        return {badges, caret, signature, coalesce};
+    }
+
+    /**
+     * Records the current state of this control in its history, unless it has
+     * the same signature as the current state in history, which is then
+     * updated with the caret and data of the current state.  Successive states that may be
+     * coalesced, such as those produced by typing into the same badge, replace
+     * one another so that they are undone together.  Recording a state
+     * discards any states that could have been redone.
+     *
+     * @param {Boolean} [coalesce=false] - `true` if the state may be replaced
+     * @inner
+     * @private
+     */
+    function record(coalesce=false) {
+        if (restoring) {
+            return;
+        }
+        const state = snapshot(coalesce);
+        const current = history[historyIndex];
+        if (current && current.signature === state.signature) {
+            current.badges = state.badges;
+            current.caret = state.caret;
+            return;
+        }
+        history.splice(historyIndex + 1);
+        if (coalesce && current && current.coalesce && historyIndex > 0
+            && current.badges.length === state.badges.length
+            && current.badges.every((badge, i) => badge.badgeKey === state.badges[i].badgeKey)) {
+            history[historyIndex] = state;
+            return;
+        }
+        history.push(state);
+        if (history.length > historySize) {
+            history.shift();
+        }
+        historyIndex = history.length - 1;
+    }
+
+    /**
+     * Replaces the badges of this control with those of the specified state,
+     * reusing the DOM elements of badges with the same key.
+     *
+     * @param {HistoryState} state - to be restored
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function restore(state) {
+        if (editing) {
+            closeEditor(false);
+        }
+        restoring = true;
+        try {
+            transaction(() => {
+                const nodes = new Map();
+                for (const node of Array.from(element.children)) {
+                    nodes.set(Number(node.dataset.badgeKey), node);
+                    element.removeChild(node);
+                }
+                if (activeNode) {
+                    activeNode.classList.remove('badge-active');
+                    activeNode = null;
+                }
+                pendingRequests.clear();
+                for (const node of nodes.values()) {
+                    setError(node);
+                }
+
+                const changes = [];
+                const previous = new Map(badgeMap);
+                badgeMap.clear();
+                const children = [makeChild()];
+                for (const {badgeKey, className, text, data, error} of state.badges) {
+                    let node = nodes.get(badgeKey);
+                    if (!node) {
+                        node = makeChild();
+                        node.dataset.badgeKey = String(badgeKey);
+                    }
+                    undecorateBadge(node);
+                    setBadgeText(node, text);
+                    node.className = className;
+                    if (error !== undefined) {
+                        setError(node, error);
+                    }
+                    if (data) {
+                        badgeMap.set(badgeKey, Object.assign({}, data));
+                        decorateBadge(node, data.value);
+                        if (!previous.has(badgeKey)) {
+                            changes.push({type: 'add', node, value: data.value});
+                        } else if (previous.get(badgeKey).value !== data.value) {
+                            changes.push({
+                                type: 'change',
+                                node,
+                                value: data.value,
+                                previousValue: previous.get(badgeKey).value,
+                            });
+                        }
+                    }
+                    children.push(node, makeChild());
+                }
+                for (const [badgeKey, {value}] of previous) {
+                    if (!badgeMap.has(badgeKey)) {
+                        changes.push({
+                            type: 'delete',
+                            node: nodes.get(badgeKey),
+                            previousValue: value,
+                        });
+                    }
+                }
+                children.forEach(node => element.appendChild(node));
+                dispatch(changes);
+
+                const caret = state.caret;
+                if (caret && isActive()) {
+                    const node = children[caret.index * 2 + (caret.empty ? 0 : 1)];
+                    if (node) {
+                        activateBadge(node, caret.offset);
+                    }
+                }
+            });
+        } finally {
+            restoring = false;
+        }
+    }
+
+    /**
+     * `true` when there is a change that can be undone.
+     *
+     * @member {Boolean}
+     */
+    function canUndo() {
+        return historyIndex > 0
+            || (historyIndex === 0 && snapshot().signature !== history[0].signature);
+    }
+
+    /**
+     * `true` when there is a change that can be redone.
+     *
+     * @member {Boolean}
+     */
+    function canRedo() {
+        return historyIndex < history.length - 1
+            && snapshot().signature === history[historyIndex].signature;
+    }
+
+    /**
+     * Reverts the most recent change to this control.
+     *
+     * @returns {Boolean} `true` if a change was undone.
+     * @fires BadgeEditable#change
+     */
+    function undo() {
+        record();
+        if (historyIndex > 0) {
+            restore(history[--historyIndex]);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Reapplies the most recently undone change to this control.
+     *
+     * @returns {Boolean} `true` if a change was redone.
+     * @fires BadgeEditable#change
+     */
+    function redo() {
+        record();
+        if (historyIndex < history.length - 1) {
+            restore(history[++historyIndex]);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Number of badges in this BadgeEditable control.
+     *
+     * @member {Number}
+     */
+    function length() {
+        return badgeMap.size;
+    }
+
+    /**
+     * `true` when this control is the active element in its document, `false`
+     * otherwise.
+     *
+     * @member {Boolean}
+     */
+    function isActive() {
+        return element.ownerDocument.activeElement === element;
+    }
+
+    /**
+     * Calls the specified callback for each badge in this control.
+     *
+     * @param {BadgeEditable~BadgeCallback} callback - called for each badge
+     */
+    function forEach(callback) {
+        for (let i = 0; i < element.childElementCount; i++) {
+            const child = element.children[i];
+            const badgeKey = Number(child.dataset.badgeKey);
+            if (badgeMap.has(badgeKey)) {
+                callback(badgeMap.get(badgeKey).value, child, badgeKey);
+            }
+        }
+    }
+
+    /**
+     * The errors of the invalid badges in this control.
+     *
+     * @member {Array.<InvalidEvent>}
+     */
+    function errors() {
+        const errors = [];
+        for (const node of element.children) {
+            const badgeKey = Number(node.dataset.badgeKey);
+            if (badgeErrors.has(badgeKey)) {
+                const error = badgeErrors.get(badgeKey);
+                errors.push({
+                    node,
+                    key: badgeKey,
+                    text: getBadgeText(node),
+                    error,
+                    message: getErrorMessage(error),
+                });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * The user defined data objects for each badge in this control.
+     *
+     * @member {Array.<BadgeUserData>}
+     * @fires BadgeEditable#change
+     */
+    function value() {
+        const data = [];
+        this.forEach((badge, node, key) => {
+            data.push(Object.assign({key}, badge));
+        });
+        return data;
+    }
+    function valueSetter(value) {
+        replaceSequence++;
+        transaction(() => setValue(value));
+    }
+    function setValue(value) {
+        const changes = [];
+        forEach((previousValue, node) => {
+            changes.push({type: 'delete', node, previousValue});
+        });
+        badgeMap.clear();
+        for (const node of Array.from(element.children)) {
+            cancelRequest(node);
+            setError(node);
+            element.removeChild(node);
+        }
+        activeNode = null;
+        value.forEach(value => {
+            const node = createBadge(value);
+            element.appendChild(node);
+            enableBadge(node, badgeMap.get(Number(node.dataset.badgeKey)));
+            changes.push({type: 'add', node, value});
+        });
+        if (element.childElementCount === 0) {
+            // the spacer into which the first badge is typed
+            element.appendChild(makeChild());
+        }
+        dispatch(changes);
+    }
+
+    /**
+     * Creates the DOM element of a new valid badge; the caller is responsible
+     * for inserting the element into this control.
+     *
+     * @param {BadgeUserData} value - of the new badge
+     * @returns {Node} The badge's DOM element.
+     * @inner
+     * @private
+     */
+    function createBadge(value) {
+        const textContent = 'text' in value ? value.text : value.toString();
+        const node = makeChild(textContent);
+        node.classList.remove('badge-empty');
+        badgeMap.set(Number(node.dataset.badgeKey), {value, textContent});
+        decorateBadge(node, value);
+        return node;
+    }
+
+    /**
+     * Finds the DOM element of a badge.
+     *
+     * @param {Number} key - of the badge
+     * @returns {Node} The badge's DOM element.
+     * @throws {RangeError} When there is no badge with the specified key.
+     * @inner
+     * @private
+     */
+    function getBadgeNode(key) {
+        const node = element.querySelector(
+            `:scope > [data-badge-key="${Number(key)}"]`);
+        if (!node || node.classList.contains('badge-empty')) {
+            throw new RangeError(`No badge with key ${key}`);
+        }
+        return node;
+    }
+
+    /**
+     * The DOM element of the valid badge at the specified index, or
+     * `undefined` when the index is not less than the number of badges.
+     *
+     * @param {Number} index - of the badge within the {@link
+     *     BadgeEditable#value} of this control
+     * @returns {Node} The badge's DOM element.
+     * @inner
+     * @private
+     */
+    function getBadgeAt(index) {
+        let found;
+        let i = 0;
+        forEach((badge, node) => {
+            if (i++ === index) {
+                found = node;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * The index of a valid badge within the {@link BadgeEditable#value} of
+     * this control.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Number} The index of the badge, or -1 when it is not valid.
+     * @inner
+     * @private
+     */
+    function getBadgeIndex(node) {
+        let found = -1;
+        let i = 0;
+        forEach((badge, other) => {
+            if (other === node) {
+                found = i;
+            }
+            i++;
+        });
+        return found;
+    }
+
+    /**
+     * Places a badge's DOM element before the valid badge at the specified
+     * index, or at the end of this control.
+     *
+     * @param {Node} node - of the badge, not within this control
+     * @param {Number} index - of the badge within the {@link
+     *     BadgeEditable#value} of this control
+     * @inner
+     * @private
+     */
+    function placeBadge(node, index) {
+        const before = getBadgeAt(index);
+        if (before) {
+            before.insertAdjacentElement('beforebegin', node);
+        } else {
+            element.appendChild(node);
+        }
+        enableBadge(node);
+    }
+
+    /**
+     * The user defined data object of a valid badge.
+     *
+     * @param {Number} key - of the badge
+     * @returns {BadgeUserData} The data object, with the key of the badge, or
+     *     `undefined` when there is no valid badge with the specified key.
+     */
+    function get(key) {
+        key = Number(key);
+        if (badgeMap.has(key)) {
+            return Object.assign({key}, badgeMap.get(key).value);
+        }
+    }
+
+    /**
+     * Inserts a new valid badge.
+     *
+     * @param {Number} index - of the new badge within the {@link
+     *     BadgeEditable#value} of this control, the badge is appended when the
+     *     index is not less than the number of badges
+     * @param {BadgeUserData} userData - of the new badge
+     * @returns {Number} The key of the new badge, or `undefined` if it was
+     *     rejected or merged as a duplicate.
+     * @fires BadgeEditable#change
+     */
+    function insert(index, userData) {
+        let key;
+        transaction(() => {
+            const node = createBadge(userData);
+            key = Number(node.dataset.badgeKey);
+            placeBadge(node, index);
+            dispatch([{type: 'add', node, value: userData}]);
+        });
+        return badgeMap.has(key) ? key : undefined;
+    }
+
+    /**
+     * Replaces the user defined data object, and the text, of a badge.  An
+     * invalid badge becomes valid.
+     *
+     * @param {Number} key - of the badge
+     * @param {BadgeUserData} userData - the new data object of the badge
+     * @throws {RangeError} When there is no badge with the specified key.
+     * @fires BadgeEditable#change
+     */
+    function update(key, userData) {
+        const node = getBadgeNode(key);
+        transaction(() => {
+            const trailing = getTrailingText(node);
+            const textContent = 'text' in userData
+                ? userData.text : userData.toString();
+            const offset = node === activeNode && isActive()
+                ? getSelectionOffsets(node)[1] : undefined;
+            cancelRequest(node);
+            setBadgeText(node, textContent);
+            const data = {value: userData, textContent};
+            updateBadge(node, data);
+            if (trailing) {
+                setTrailingText(node, trailing);
+            }
+            enableBadge(node, data);
+            if (offset !== undefined) {
+                setCaret(node, Math.min(offset, textContent.length));
+            }
+        });
+    }
+
+    /**
+     * Removes a badge.
+     *
+     * @param {Number} key - of the badge
+     * @throws {RangeError} When there is no badge with the specified key.
+     * @fires BadgeEditable#change
+     */
+    function remove(key) {
+        const node = getBadgeNode(key);
+        transaction(() => {
+            const active = node === activeNode && isActive();
+            const spacer = removeBadge(node);
+            if (active) {
+                activateBadge(spacer, 0);
+            }
+        });
+    }
+
+    /**
+     * Moves a valid badge to another position.
+     *
+     * @param {Number} key - of the badge
+     * @param {Number} index - the new index of the badge within the {@link
+     *     BadgeEditable#value} of this control
+     * @throws {RangeError} When there is no valid badge with the specified
+     *     key.
+     * @fires BadgeEditable#change
+     */
+    function move(key, index) {
+        const node = getBadgeNode(key);
+        if (getBadgeIndex(node) < 0) {
+            throw new RangeError(`No valid badge with key ${key}`);
+        }
+        transaction(() => moveBadge(node, index));
+    }
+
+    /**
+     * Makes the valid badges of this control match the specified data
+     * objects with as few changes as possible, unlike setting {@link
+     * BadgeEditable#value}.  A data object is matched with the badge of the
+     * same key, otherwise with a badge whose data object has the same
+     * properties, apart from its location; a matched badge keeps its key and
+     * DOM element, and is only updated when its data object differs.  The
+     * remaining badges are removed and the data objects without a badge are
+     * inserted.  Invalid badges, such as those being entered, are left as
+     * they are.
+     *
+     * @param {Array.<BadgeUserData>} values - the data objects, in order
+     * @fires BadgeEditable#change
+     */
+    function reconcile(values) {
+        values = Array.from(values);
+        const badges = new Map();
+        forEach((value, node, key) => badges.set(key, {key, value, node}));
+        const matches = values.map(value => {
+            const badge = badges.get(value.key);
+            badges.delete(value.key);
+            return badge;
+        });
+        values.forEach((value, i) => {
+            if (matches[i]) {
+                return;
+            }
+            for (const [key, badge] of badges) {
+                if (isSameValue(badge.value, value)) {
+                    matches[i] = badge;
+                    badges.delete(key);
+                    break;
+                }
+            }
+        });
+        transaction(() => {
+            for (const key of badges.keys()) {
+                remove(key);
+            }
+            values.forEach((value, i) => {
+                const userData = Object.assign({}, value);
+                delete userData.key;
+                if (!matches[i]) {
+                    insert(i, userData);
+                    return;
+                }
+                const {key, value: previousValue, node} = matches[i];
+                if (!isSameValue(previousValue, value)) {
+                    update(key, userData);
+                }
+                moveBadge(node, i);
+            });
+        });
+    }
+
+    /**
+     * Moves a valid badge to another position, keeping the caret within the
+     * badge if it is active.
+     *
+     * @param {Node} node - of the badge
+     * @param {Number} index - the new index of the badge within the {@link
+     *     BadgeEditable#value} of this control
+     * @returns {Boolean} `true` if the badge was moved.
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function moveBadge(node, index) {
+        const previousIndex = getBadgeIndex(node);
+        index = Math.max(0, Math.min(index, length() - 1));
+        if (previousIndex < 0 || index === previousIndex) {
+            return false;
+        }
+        const offset = node === activeNode && isActive()
+            ? getSelectionOffsets(node)[1] : undefined;
+        if (hasEmptyBadgeAfter(node) && hasEmptyBadgeBefore(node)) {
+            element.removeChild(node.nextElementSibling);
+        }
+        element.removeChild(node);
+        placeBadge(node, index);
+        if (offset !== undefined) {
+            setCaret(node, offset);
+        }
+        dispatch([{
+            type: 'move',
+            node,
+            value: badgeMap.get(Number(node.dataset.badgeKey)).value,
+            previousIndex,
+            index,
+        }]);
+        return true;
+    }
+
+    /**
+     * The text content of this BadgeEditable control, i.e. the source text of
+     * each of its badges, valid or not.  The separator of the parser is
+     * placed after each badge that is followed by another badge without any
+     * text of its own to separate them, such as the badges of the value
+     * property; so that the text content can always be parsed into the same
+     * badges.
+     *
+     * This is a writable property and will initiate this BadgeEditable's
+     * [parser]{@link Parser}.  Setting it and then getting it gives back the
+     * same text, delimiters included, except where the text of an item
+     * differs from its source text, such as a recipient that is normalised by
+     * a {@link RecipientParser}, which is then replaced by the text.  If
+     * an asynchronous parser fails then the text is given a single invalid
+     * badge.  The result of an asynchronous parser is discarded when this
+     * property, or the value, has been set again in the meantime.
+     *
+     * @member {String}
+     */
+    function textContent() {
         let textContent = '';
-        this.forEach(badge => {
-            textContent += 'rawText' in badge
-                ? badge.rawText : badge.textContent;
+        let separate = false;
+        for (const node of element.children) {
+            if (node.classList.contains('badge-empty')) {
+                continue;
+            }
+            if (separate) {
+                textContent += getSeparator();
+            }
+            textContent += getSourceText(node);
+            separate = getTrailingText(node) === '';
+        }
+        return textContent;
+    }
+    function textContentSetter(textContent) {
+        const setItems = allItems => {
+            const items = allItems.filter(d => d !== undefined && d.text !== '');
+            // the text of an undefined last item is still being entered
+            let length = textContent.length;
+            if (allItems.length && allItems[allItems.length - 1] === undefined) {
+                const end = items.length ? getOffset(items[items.length - 1], 'end') : 0;
+                const rest = end !== undefined ? textContent.substring(end) : '';
+                if (rest.trim() !== '') {
+                    length = textContent.length - rest.trimStart().length;
+                }
+            }
+            transaction(() => {
+                setValue([]);
+                let after = element.firstElementChild;
+                items.forEach((item, i) => {
+                    const text = 'text' in item ? item.text : item.toString();
+                    const node = makeChild(text);
+                    const data = {value: item, textContent: text};
+                    // keep the source text, such as delimiters, with each badge
+                    const start = i === 0 ? 0 : getOffset(item, 'start');
+                    const end = i + 1 < items.length
+                        ? getOffset(items[i + 1], 'start') : length;
+                    if (start !== undefined && end !== undefined) {
+                        data.rawText = textContent.substring(start, end);
+                        // in which the text of an item replaces its source
+                        const itemStart = getOffset(item, 'start');
+                        const itemEnd = getOffset(item, 'end');
+                        if (itemStart !== undefined && itemEnd !== undefined) {
+                            const leading = textContent.substring(start, itemStart);
+                            const trailing = textContent.substring(itemEnd, end);
+                            data.rawText = leading + text + trailing;
+                            invalidSources.set(Number(node.dataset.badgeKey), {leading, trailing});
+                        }
+                    }
+                    node.classList.remove('badge-empty');
+                    after.insertAdjacentElement('afterend', node);
+                    settleBadge(node, data);
+                    after = enableBadge(node, data);
+                });
+                if (length < textContent.length) {
+                    const node = makeChild(textContent.substring(length));
+                    after.insertAdjacentElement('afterend', node);
+                    validateBadge(node);
+                    enableBadge(node);
+                }
+            });
+        };
+        const reject = error => {
+            transaction(() => {
+                setValue([]);
+                if (textContent.trim() !== '') {
+                    const node = makeChild(textContent);
+                    element.firstElementChild.insertAdjacentElement('afterend', node);
+                    updateBadge(node, undefined, error);
+                    enableBadge(node);
+                }
+            });
+        };
+        const sequence = ++replaceSequence;
+        const latest = fn => value => {
+            if (!destroyed && sequence === replaceSequence) {
+                fn(value);
+            }
+        };
+        const allItems = parse(textContent);
+        if (isThenable(allItems)) {
+            allItems.then(latest(setItems), latest(reject));
+        } else {
+            setItems(allItems);
+        }
+    }
+
+    /**
+     * The text placed between badges that are not otherwise separated in the
+     * text content of this control.
+     *
+     * @returns {String} The separator of the parser, or a comma.
+     * @inner
+     * @private
+     */
+    function getSeparator() {
+        return parser.separator !== undefined ? String(parser.separator) : ',';
+    }
+
+    /**
+     * The text content of this control, see {@link
+     * BadgeEditable#textContent}.
+     *
+     * @returns {String} The text content.
+     */
+    function toString() {
+        return textContent();
+    }
+
+    /**
+     * Replaces the badges of this control with those parsed from the
+     * specified text, see {@link BadgeEditable#textContent}.
+     *
+     * @param {String} text - the source text of the badges
+     * @fires BadgeEditable#change
+     */
+    function fromString(text) {
+        textContentSetter(String(text));
+    }
+
+    /**
+     * The data objects of the badges of this control in a form that can be
+     * converted to JSON, i.e. without their location, DOM nodes or functions.
+     * A sentinal is kept as its name when it is a generator in {@link
+     * BadgeEditable.sentinals}.  `JSON.stringify(control)` uses this method.
+     *
+     * @returns {Array.<BadgeUserData>} The plain data objects.
+     */
+    function toJSON() {
+        const json = [];
+        forEach(value => {
+            const data = {};
+            for (const [key, property] of Object.entries(value)) {
+                if (key === 'sentinal') {
+                    const name = Object.keys(BadgeEditable.sentinals)
+                        .find(name => BadgeEditable.sentinals[name] === property);
+                    if (name !== undefined) {
+                        data.sentinal = name;
+                    }
+                } else if (key !== 'location' && typeof property !== 'function'
+                    && !(property instanceof Node)) {
+                    data[key] = property;
+                }
+            }
+            json.push(data);
+        });
+        return json;
+    }
+
+    /**
+     * Replaces the badges of this control with those of data objects produced
+     * by {@link BadgeEditable#toJSON}.  A sentinal name is resolved through
+     * {@link BadgeEditable.sentinals}, an unknown name is ignored.
+     *
+     * @param {Array.<BadgeUserData>|String} json - the data objects, or their
+     *     JSON text
+     * @fires BadgeEditable#change
+     */
+    function fromJSON(json) {
+        const values = typeof json === 'string' ? JSON.parse(json) : json;
+        valueSetter(Array.from(values, value => {
+            if (typeof value.sentinal !== 'string') {
+                return value;
+            }
+            const data = Object.assign({}, value);
+            if (Object.prototype.hasOwnProperty.call(BadgeEditable.sentinals, value.sentinal)) {
+                data.sentinal = BadgeEditable.sentinals[value.sentinal];
+            } else {
+                delete data.sentinal;
+            }
+            return data;
+        }));
+    }
+
+    /**
+     * Encodes the text of each badge of this control, valid or not, as a
+     * parameter of a URL query string, e.g. to keep the badges of a filter
+     * bar in the address bar.
+     *
+     * @example
+     * const params = control.toSearchParams('q', new URLSearchParams(location.search));
+     * history.replaceState(null, '', `?${params}`);
+     *
+     * @param {String} [param] - the name of the parameters, defaults to the
+     *     name of this control or `q`
+     * @param {URLSearchParams} [params] - to which the parameters are added,
+     *     replacing any parameters of the same name
+     * @returns {URLSearchParams} The parameters.
+     */
+    function toSearchParams(param = name || 'q', params = new URLSearchParams()) {
+        params.delete(param);
+        for (const node of element.children) {
+            if (!node.classList.contains('badge-empty')) {
+                params.append(param, getBadgeText(node));
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Replaces the badges of this control with those encoded by {@link
+     * BadgeEditable#toSearchParams}; the text of the parameters is joined
+     * with the separator of the parser and parsed.
+     *
+     * @example
+     * control.fromSearchParams(location.search);
+     *
+     * @param {URLSearchParams|String} params - the parameters, or a query
+     *     string
+     * @param {String} [param] - the name of the parameters, defaults to the
+     *     name of this control or `q`
+     * @fires BadgeEditable#change
+     */
+    function fromSearchParams(params, param = name || 'q') {
+        textContentSetter(new URLSearchParams(params).getAll(param)
+            .join(getSeparator()));
+    }
+
+    /**
+     * The form that this control belongs to, if any.
+     *
+     * @member {HTMLFormElement}
+     */
+    function form() {
+        return internals ? internals.form : element.closest('form');
+    }
+
+    /**
+     * The name under which the badges of this control are submitted.
+     *
+     * @member {String}
+     */
+    function nameGetter() {
+        return name;
+    }
+    function nameSetter(value) {
+        name = value;
+        updateFormParts();
+        updateForm();
+    }
+
+    /**
+     * The value restored when the form of this control is reset, initially
+     * the value of this control when it was constructed.
+     *
+     * @member {Array.<BadgeUserData>}
+     */
+    function defaultValue() {
+        return formState.defaultValue;
+    }
+    function defaultValueSetter(value) {
+        formState.defaultValue = Array.from(value);
+    }
+
+    /**
+     * `true` when this control does not accept input, either because it was
+     * disabled or because it is within a disabled fieldset.
+     *
+     * @member {Boolean}
+     */
+    function disabled() {
+        return formState.disabled || formState.formDisabled;
+    }
+    function disabledSetter(value) {
+        formState.disabled = Boolean(value);
+        updateDisabled();
+    }
+
+    /**
+     * `true` when the badges of this control can not be edited.  Unlike a
+     * disabled control, the badges of a read-only control are still submitted
+     * with its form.
+     *
+     * @member {Boolean}
+     */
+    function readOnlyGetter() {
+        return readOnly;
+    }
+    function readOnlySetter(value) {
+        readOnly = Boolean(value);
+        updateDisabled();
+    }
+
+    /**
+     * `true` when the badges of this control can be reordered by the user.
+     *
+     * @member {Boolean}
+     */
+    function reorderableGetter() {
+        return reorderable;
+    }
+    function reorderableSetter(value) {
+        reorderable = Boolean(value);
+        updateDraggable();
+    }
+
+    /**
+     * `true` when the valid badges of this control have a button that removes
+     * the badge.
+     *
+     * @member {Boolean}
+     */
+    function removableGetter() {
+        return removable;
+    }
+    function removableSetter(value) {
+        removable = Boolean(value);
+        updateActions();
+    }
+
+    /**
+     * The accessible label of this control.
+     *
+     * @member {String}
+     */
+    function labelGetter() {
+        return label;
+    }
+    function labelSetter(value) {
+        label = value;
+        if (label) {
+            element.setAttribute('aria-label', label);
+        } else {
+            element.removeAttribute('aria-label');
+        }
+    }
+
+    /**
+     * The maximum number of badges in this control.
+     *
+     * @member {Number}
+     */
+    function maxBadgesGetter() {
+        return maxBadges;
+    }
+    function maxBadgesSetter(value) {
+        maxBadges = value;
+        updateLimits();
+        updateForm();
+    }
+
+    /**
+     * The maximum length of the text of a badge.
+     *
+     * @member {Number}
+     */
+    function maxLengthGetter() {
+        return maxLength;
+    }
+    function maxLengthSetter(value) {
+        maxLength = value;
+        updateLimits();
+    }
+
+    /**
+     * The text shown while this control is empty.
+     *
+     * @member {String}
+     */
+    function placeholderGetter() {
+        return placeholder;
+    }
+    function placeholderSetter(value) {
+        placeholder = value;
+        updatePlaceholder();
+    }
+
+    /**
+     * The contextual class name suffix given to valid badges.
+     *
+     * @member {String}
+     */
+    function validLabelGetter() {
+        return validLabel;
+    }
+    function validLabelSetter(value) {
+        validLabel = value;
+        forEach((value, node) => decorateBadge(node, value));
+    }
+
+    /**
+     * The [parser]{@link Parser} of this control.
+     *
+     * This is a writable property, the text content of this control is parsed
+     * again by the new parser.  Use {@link BadgeEditable#setOptions} to parse
+     * each badge again in place instead.
+     *
+     * @member {Object}
+     */
+    function parserGetter() {
+        return parser;
+    }
+    function parserSetter(value) {
+        const text = this.textContent;
+        parser = value;
+        lastParse = {};
+        this.textContent = text;
+    }
+
+    /**
+     * Disables this control, its badges remain visible but can not be edited
+     * or focused and are not submitted with its form.
+     */
+    function disable() {
+        disabledSetter(true);
+    }
+
+    /**
+     * Enables this control after {@link BadgeEditable#disable}.
+     */
+    function enable() {
+        disabledSetter(false);
+    }
+
+    /**
+     * `true` when the badges of this control can be edited by the user.
+     *
+     * @returns {Boolean} `false` when this control is disabled or read-only.
+     * @inner
+     * @private
+     */
+    function isEditable() {
+        return !disabled() && !readOnly;
+    }
+
+    /**
+     * Focuses this control, optionally placing the caret within the specified
+     * badge.
+     *
+     * @param {Object} [options]
+     * @param {Number} [options.badgeKey] - the key of the badge to be
+     *     activated, defaults to the last badge
+     * @param {Number} [options.offset] - into the text content of the badge,
+     *     defaults to the end of the badge's text
+     * @param {Boolean} [options.preventScroll=false] - passed to the
+     *     element's focus method
+     */
+    function focus({badgeKey, offset, preventScroll = false} = {}) {
+        const node = badgeKey === undefined
+            ? element.lastElementChild : getBadgeNode(badgeKey);
+        element.focus({preventScroll});
+        if (node) {
+            const length = getBadgeText(node).length;
+            const collapse = offset === undefined
+                ? length : Math.max(0, Math.min(offset, length));
+            transaction(() => activateBadge(node, collapse), true);
+        }
+    }
+
+    /**
+     * Detaches this control from its element: removes its event listeners,
+     * badges and the parts of this control outside of its element, and
+     * restores the element's original attributes.  Of its classes, only those
+     * that this control toggles are restored, and any id that it gave to the
+     * element's label is removed.  This control can not be
+     * used once it is destroyed.
+     *
+     * @param {Object} [options]
+     * @param {Boolean} [options.keepText=false] - when `true` the source text
+     *     of the badges is left behind in the element
+     */
+    function destroy({keepText = false} = {}) {
+        if (destroyed) {
+            return;
+        }
+        const text = keepText ? textContent() : '';
+
+        disconnectedCallback();
+        for (const [target, type, listener] of listeners.splice(0)) {
+            target.removeEventListener(type, listener);
+        }
+        for (const node of Array.from(element.children)) {
+            cancelRequest(node);
+        }
+        badgeMap.clear();
+        badgeErrors.clear();
+        invalidSources.clear();
+        errorTooltips.clear();
+        history.length = 0;
+        historyIndex = -1;
+        activeNode = null;
+        destroyed = true;
+
+        while (element.firstChild) {
+            element.removeChild(element.firstChild);
+        }
+        if (text) {
+            element.appendChild(document.createTextNode(text));
+        }
+        const classes = originalAttributes
+            .filter(([name]) => name === 'class')
+            .map(([, value]) => value.split(/\s+/));
+        for (const name of hostClasses) {
+            element.classList.toggle(name, classes.some(names => names.includes(name)));
+        }
+        if (element.getAttribute('class') === '') {
+            element.removeAttribute('class');
+        }
+        if (namedLabel) {
+            namedLabel.removeAttribute('id');
+            namedLabel = null;
+        }
+        for (const {name} of Array.from(element.attributes)) {
+            if (/^(contenteditable|role|aria-.*|data-placeholder)$/.test(name)) {
+                element.removeAttribute(name);
+            }
+        }
+        for (const [name, value] of originalAttributes) {
+            if (name !== 'class') {
+                element.setAttribute(name, value);
+            }
+        }
+    }
+
+    /**
+     * The validity state of this control.
+     *
+     * @member {ValidityState}
+     */
+    function validity() {
+        updateForm();
+        return internals ? internals.validity : formState.proxy.validity;
+    }
+
+    /**
+     * The message describing why this control is invalid, or an empty string.
+     *
+     * @member {String}
+     */
+    function validationMessage() {
+        updateForm();
+        return internals
+            ? internals.validationMessage : formState.proxy.validationMessage;
+    }
+
+    /**
+     * Sets a custom error message, which makes this control invalid until it
+     * is set to an empty string.
+     *
+     * @param {String} message - the error message
+     */
+    function setCustomValidity(message) {
+        formState.customError = String(message);
+        updateForm();
+    }
+
+    /**
+     * Checks the validity of this control, firing an `invalid` DOM event when
+     * it is invalid.
+     *
+     * @returns {Boolean} `true` if this control is valid.
+     */
+    function checkValidity() {
+        updateForm();
+        return (internals || formState.proxy).checkValidity();
+    }
+
+    /**
+     * Checks the validity of this control and reports any problem to the
+     * user.
+     *
+     * @returns {Boolean} `true` if this control is valid.
+     */
+    function reportValidity() {
+        updateForm();
+        return (internals || formState.proxy).reportValidity();
+    }
+
+    /**
+     * Restores the [default value]{@link BadgeEditable#defaultValue} of this
+     * control.
+     *
+     * @fires BadgeEditable#change
+     */
+    function reset() {
+        valueSetter(formState.defaultValue);
+        setCustomValidity('');
+    }
+
+    /**
+     * Adds a listener for an event of this control, see {@link
+     * BadgeEditable#event:change}, {@link BadgeEditable#event:invalid},
+     * {@link BadgeEditable#event:limit}, {@link BadgeEditable#event:focus},
+     * {@link BadgeEditable#event:blur}, {@link BadgeEditable#event:activate}
+     * and {@link BadgeEditable#event:split}.  A listener is only added once
+     * for each type of event, it is called with the event and this control
+     * as `this`.
+     *
+     * @example
+     * control.on('split', ({nodes}) => console.log(`${nodes.length} badges`));
+     *
+     * @param {String} type - of the event
+     * @param {function} listener - to be called with the event
+     */
+    function on(type, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError(`The ${type} listener is not a function`);
+        }
+        if (!eventListeners.has(type)) {
+            eventListeners.set(type, new Set());
+        }
+        eventListeners.get(type).add(listener);
+    }
+
+    /**
+     * Removes a listener added by {@link BadgeEditable#on}.
+     *
+     * @param {String} type - of the event
+     * @param {function} listener - that was added
+     */
+    function off(type, listener) {
+        if (eventListeners.has(type)) {
+            eventListeners.get(type).delete(listener);
+        }
+    }
+
+    /**
+     * Calls the listeners of an event, including those added while they are
+     * called.
+     *
+     * @param {String} type - of the event
+     * @param {*} event - passed to each listener
+     * @inner
+     * @private
+     */
+    function fire(type, event) {
+        if (eventListeners.has(type)) {
+            for (const listener of eventListeners.get(type)) {
+                listener.call(control, event);
+            }
+        }
+    }
+
+    /**
+     * Changes the options of this control without constructing a new
+     * control, see {@link BadgeEditable}; the options that are not given
+     * are left as they are.  Every option can be changed, except for
+     * `internals`.
+     *
+     * A new `parser` is applied to each badge in place: the text of every
+     * badge is parsed and validated again, so that valid badges may become
+     * invalid and vice versa, but badges are neither split nor merged, unlike
+     * the [parser]{@link BadgeEditable#parser} property, which parses the
+     * text content of this control again.  A new `validLabel`
+     * or `renderBadge` is applied to the valid badges in place, and a new
+     * `makeSentinal` to the badges that are created afterwards.  A new
+     * `onChange`, `onInvalid` or `onLimit` replaces the previous one, other
+     * listeners added by {@link BadgeEditable#on} remain.
+     *
+     * @param {Object} options - the options to be changed
+     * @throws {TypeError} When an option is unknown or can not be changed.
+     * @fires BadgeEditable#change
+     */
+    function setOptions(options) {
+        transaction(() => {
+            for (const [option, value] of Object.entries(options)) {
+                setOption(option, value);
+            }
+        });
+    }
+
+    /**
+     * Changes an option of this control, see {@link
+     * BadgeEditable#setOptions}.
+     *
+     * @param {String} option - the name of the option
+     * @param {*} value - of the option
+     * @throws {TypeError} When the option is unknown or can not be changed.
+     * @inner
+     * @private
+     */
+    function setOption(option, value) {
+        const replaceListener = (type, previous) => {
+            if (previous) {
+                off(type, previous);
+            }
+            if (value) {
+                on(type, value);
+            }
+        };
+        switch (option) {
+        case 'onChange':
+            replaceListener('change', onChange);
+            onChange = value;
+            break;
+        case 'onInvalid':
+            replaceListener('invalid', onInvalid);
+            onInvalid = value;
+            break;
+        case 'onLimit':
+            replaceListener('limit', onLimit);
+            onLimit = value;
+            break;
+        case 'parser':
+            parser = value;
+            lastParse = {};
+            for (const node of Array.from(element.children)) {
+                if (!node.classList.contains('badge-empty')) {
+                    cancelRequest(node);
+                    if (validateBadge(node, undefined, true)) {
+                        enableBadge(node);
+                    }
+                }
+            }
+            break;
+        case 'validLabel':
+            validLabelSetter(value);
+            break;
+        case 'atomic':
+            atomic = value;
+            if (!atomic && editing) {
+                closeEditor(true);
+            }
+            break;
+        case 'renderBadge':
+            renderBadge = value;
+            forEach((badge, node) => decorateBadge(node, badge));
+            break;
+        case 'makeSentinal':
+            makeSentinal = value;
+            break;
+        case 'name':
+            nameSetter(value);
+            break;
+        case 'readOnly':
+            readOnlySetter(value);
+            break;
+        case 'reorderable':
+            reorderableSetter(value);
+            break;
+        case 'removable':
+            removableSetter(value);
+            break;
+        case 'label':
+            labelSetter(value);
+            break;
+        case 'maxBadges':
+            maxBadgesSetter(value);
+            break;
+        case 'maxLength':
+            maxLengthSetter(value);
+            break;
+        case 'placeholder':
+            placeholderSetter(value);
+            break;
+        case 'required':
+            required = value;
+            if (required) {
+                element.setAttribute('aria-required', 'true');
+            } else {
+                element.removeAttribute('aria-required');
+            }
+            break;
+        case 'suggest':
+            suggest = value;
+            closeSuggestions();
+            if (suggest) {
+                element.setAttribute('aria-autocomplete', 'list');
+                element.setAttribute('aria-haspopup', 'listbox');
+                element.setAttribute('aria-expanded', 'false');
+            } else {
+                element.removeAttribute('aria-autocomplete');
+                element.removeAttribute('aria-haspopup');
+                element.removeAttribute('aria-expanded');
+            }
+            if (/^(combobox|textbox)$/.test(element.getAttribute('role'))) {
+                element.setAttribute('role', suggest ? 'combobox' : 'textbox');
+            }
+            break;
+        case 'historySize':
+            historySize = value;
+            break;
+        case 'suggestDelay':
+            suggestDelay = value;
+            break;
+        case 'suggestMinLength':
+            suggestMinLength = value;
+            break;
+        case 'serialize':
+            serialize = value;
+            break;
+        case 'minBadges':
+            minBadges = value;
+            break;
+        case 'actions':
+            actions = value;
+            break;
+        case 'unique':
+            unique = value;
+            break;
+        case 'duplicatePolicy':
+            duplicatePolicy = value;
+            break;
+        case 'announce':
+            announce = value;
+            break;
+        default:
+            throw new TypeError(`The ${option} option can not be changed`);
+        }
+    }
+
+    Object.defineProperties(this, {
+        length: {get: length},
+        isActive: {get: isActive},
+        forEach: {value: forEach},
+        errors: {get: errors},
+        form: {get: form},
+        name: {
+            get: nameGetter,
+            set: nameSetter,
+        },
+        defaultValue: {
+            get: defaultValue,
+            set: defaultValueSetter,
+        },
+        disabled: {
+            get: disabled,
+            set: disabledSetter,
+        },
+        readOnly: {
+            get: readOnlyGetter,
+            set: readOnlySetter,
+        },
+        reorderable: {
+            get: reorderableGetter,
+            set: reorderableSetter,
+        },
+        removable: {
+            get: removableGetter,
+            set: removableSetter,
+        },
+        maxBadges: {
+            get: maxBadgesGetter,
+            set: maxBadgesSetter,
+        },
+        maxLength: {
+            get: maxLengthGetter,
+            set: maxLengthSetter,
+        },
+        label: {
+            get: labelGetter,
+            set: labelSetter,
+        },
+        placeholder: {
+            get: placeholderGetter,
+            set: placeholderSetter,
+        },
+        validLabel: {
+            get: validLabelGetter,
+            set: validLabelSetter,
+        },
+        parser: {
+            get: parserGetter,
+            set: parserSetter,
+        },
+        validity: {get: validity},
+        validationMessage: {get: validationMessage},
+        setCustomValidity: {value: setCustomValidity},
+        checkValidity: {value: checkValidity},
+        reportValidity: {value: reportValidity},
+        reset: {value: reset},
+        on: {value: on},
+        off: {value: off},
+        setOptions: {value: setOptions},
+        disable: {value: disable},
+        enable: {value: enable},
+        focus: {value: focus},
+        destroy: {value: destroy},
+        get: {value: get},
+        insert: {value: insert},
+        update: {value: update},
+        remove: {value: remove},
+        move: {value: move},
+        reconcile: {value: reconcile},
+        canUndo: {get: canUndo},
+        canRedo: {get: canRedo},
+        undo: {value: undo},
+        redo: {value: redo},
+        value: {
+            get: value,
+            set: valueSetter
+        },
+        textContent: {
+            get: textContent,
+            set: textContentSetter
+        },
+        toString: {value: toString},
+        fromString: {value: fromString},
+        toJSON: {value: toJSON},
+        fromJSON: {value: fromJSON},
+        toSearchParams: {value: toSearchParams},
+        fromSearchParams: {value: fromSearchParams},
+    });
+
+    /**
+     * Manufactures a new DOM element for a badge.  This is called when
+     * inserting a badge or when a new insertion point is required in the
+     * control.
+     *
+     * To ensure that the DOM element interacts with the keyboard correctly the
+     * last element inside the returned element is a HTMLBRElement.
+     *
+     * @returns {HTMLElement} Element of the badge.
+     * @param {String} [content=null] - the text content of an existing badge,
+     *     otherwise the returned node will be ready for user input
+     * @inner
+     * @private
+     */
+    function makeChild(content=null) {
+        const child = document.createElement('span');
+        child.dataset.badgeKey = String(++badgeKeySequence);
+        child.classList.add('badge');
+        if (content) {
+            if ('string' === typeof content) {
+                content = document.createTextNode(content);
+            }
+            child.appendChild(content);
+        } else {
+            child.classList.add('badge-empty');
+        }
+        content = makeSentinal();
+        child.appendChild(content);
+        return child;
+    }
+
+    /**
+     * To ensure that the DOM element interacts with the keyboard correctly this
+     * function appends a sentinal element to the specified node.  If the
+     * specified data object has a sentinal element then that is used.  If the
+     * sentinal on the data object is a SentinalGenerator then it is used to
+     * generate a node.  Regardless of how the sentinal is obtained, it is
+     * assigned to the specified data object.
+     *
+     * @param {Node} node - the node to which the sentinal is to be appended
+     * @param {BadgeData} data - the data of the badge
+     * @returns {Node} The appended sentinal node.
+     * @inner
+     * @private
+     */
+    function addSentinal(node, data) {
+        const value = data.value;
+        const sentinal = value.sentinal
+            ? typeof value.sentinal === 'function'
+            ? value.sentinal() : value.sentinal : makeSentinal();
+        node.appendChild(sentinal);
+        data.sentinal = sentinal;
+        return sentinal;
+    }
+
+    /**
+     * Updates a badge's DOM element and data.  Without data the badge is made
+     * invalid.
+     *
+     * @param {Node} node - of the badge
+     * @param {BadgeData} data object of the badge
+     * @param {*} [error] - the reason the badge is invalid
+     * @fires BadgeEditable#change
+     * @fires BadgeEditable#invalid
+     */
+    function updateBadge(node, data=undefined, error=undefined) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        setError(node, data === undefined ? error : undefined);
+        if (data !== undefined) {
+            const e = {
+                type: 'add',
+                node,
+                value: data.value,
+            };
+            if (badgeMap.has(badgeKey)) {
+                e.previousValue = badgeMap.get(badgeKey).value;
+                e.type = 'change';
+            }
+            badgeMap.set(badgeKey, data);
+            invalidSources.delete(badgeKey);
+            node.classList.remove('badge-invalid');
+            decorateBadge(node, data.value);
+            dispatch([e]);
+        } else {
+            undecorateBadge(node);
+            node.classList.add('badge-invalid');
+            if (badgeMap.has(badgeKey)) {
+                const source = getSource(node);
+                if (source) {
+                    const {leading, trailing} = source;
+                    invalidSources.set(badgeKey, {leading, trailing});
+                }
+                const previousValue = badgeMap.get(badgeKey).value;
+                badgeMap.delete(badgeKey);
+                dispatch([{
+                    type: 'delete',
+                    node,
+                    previousValue,
+                }]);
+            }
+        }
+    }
+
+    /**
+     * Renders a valid badge with this control's {@link
+     * BadgeEditable~BadgeRenderer}, after removing its previous decorations.
+     * The sentinal and action buttons of the badge remain its last children.
+     *
+     * @param {Node} node - of the badge
+     * @param {BadgeUserData} value - the badge's data object
+     * @inner
+     * @private
+     */
+    function decorateBadge(node, value) {
+        undecorateBadge(node);
+        const sentinal = getSentinal(node);
+        const children = new Set(node.childNodes);
+        const classes = new Set(node.classList);
+        const label = renderBadge ? renderBadge(value, node) : undefined;
+        for (let child of Array.from(node.childNodes)) {
+            if (children.has(child)) {
+                continue;
+            }
+            if (child.nodeType !== Node.ELEMENT_NODE) {
+                const wrapper = document.createElement('span');
+                node.replaceChild(wrapper, child);
+                wrapper.appendChild(child);
+                child = wrapper;
+            }
+            child.classList.add('badge-decoration');
+            child.contentEditable = 'false';
+        }
+        const buttons = getActionButtons(node);
+        if (buttons) {
+            node.appendChild(buttons);
+        }
+        if (sentinal) {
+            node.appendChild(sentinal);
+        }
+        node.classList.add(`badge-${label || validLabel}`);
+        badgeClasses.set(Number(node.dataset.badgeKey),
+            Array.from(node.classList).filter(name => !classes.has(name)));
+    }
+
+    /**
+     * Removes the decorations, and the classes that were added when it was
+     * decorated, from a badge.
+     *
+     * @param {Node} node - of the badge
+     * @inner
+     * @private
+     */
+    function undecorateBadge(node) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        for (const child of Array.from(node.children)) {
+            if (child.classList.contains('badge-decoration')) {
+                node.removeChild(child);
+            }
+        }
+        if (badgeClasses.has(badgeKey)) {
+            node.classList.remove(...badgeClasses.get(badgeKey));
+            badgeClasses.delete(badgeKey);
+        }
+    }
+
+    /**
+     * `true` when a badge is a single unit, i.e. this control is in atomic
+     * mode and the badge is valid and not being edited.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Boolean}
+     * @inner
+     * @private
+     */
+    function isAtomic(node) {
+        return atomic && !isEditing(node)
+            && badgeMap.has(Number(node.dataset.badgeKey))
+            && (node !== activeNode || activeAtomic);
+    }
+
+    /**
+     * `true` when the source text of a badge is being edited in atomic mode,
+     * during which its text is neither parsed nor validated.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Boolean}
+     * @inner
+     * @private
+     */
+    function isEditing(node) {
+        return editing !== null && editing.node === node;
+    }
+
+    /**
+     * Replaces the text of a valid badge with its source text, without the
+     * text that follows it, such as a delimiter, and activates the badge so
+     * that the source text can be edited as a whole.
+     *
+     * @param {Node} node - of the badge
+     * @inner
+     * @private
+     */
+    function openEditor(node) {
+        const source = getSourceText(node);
+        const trailing = getTrailingText(node);
+        editing = {
+            node,
+            text: getBadgeText(node),
+            source: source.substring(0, source.length - trailing.length),
+        };
+        undecorateBadge(node);
+        node.classList.add('badge-editing');
+        setBadgeText(node, editing.source);
+        activateBadge(node, editing.source.length);
+    }
+
+    /**
+     * Stops editing the source text of a badge.  The edited text is parsed
+     * once, as if it had been entered all at once, unless it was cancelled
+     * or unchanged, in which case the badge is restored.
+     *
+     * @param {Boolean} commit - `false` to cancel the edit
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function closeEditor(commit) {
+        const {node, text, source} = editing;
+        editing = null;
+        node.classList.remove('badge-editing');
+        if (!element.contains(node)) {
+            return;
+        }
+        if (commit && getBadgeText(node) !== source) {
+            parseBadge(node);
+            return;
+        }
+        setBadgeText(node, text);
+        const badgeKey = Number(node.dataset.badgeKey);
+        if (badgeMap.has(badgeKey)) {
+            decorateBadge(node, badgeMap.get(badgeKey).value);
+        }
+        if (node === activeNode && isActive()) {
+            selectBadge(node);
+        }
+    }
+
+    function activateBadge(node, collapse=undefined) {
+        if (editing && editing.node !== node) {
+            closeEditor(true);
+        }
+        if (node !== activeNode) {
+            activeAtomic = badgeMap.has(Number(node.dataset.badgeKey));
+        }
+        if (isAtomic(node)) {
+            if (isActive()) {
+                selectBadge(node);
+            }
+        } else if (collapse !== undefined) {
+            setCaret(node, collapse);
+        }
+        if (node === activeNode) {
+            return false;
+        }
+        if (activeNode) {
+            deactivateBadge(activeNode);
+        }
+        node.classList.add('badge-active');
+        activeNode = node;
+        const badgeKey = Number(node.dataset.badgeKey);
+        fire('activate', {
+            node,
+            key: badgeKey,
+            value: badgeMap.has(badgeKey) ? badgeMap.get(badgeKey).value : undefined,
+        });
+        return true;
+    }
+
+    function deactivateBadge(node, data=undefined) {
+        node.classList.remove('badge-active');
+        if (node === activeNode) {
+            activeNode = null;
+        }
+        if (validateBadge(node, data)) {
+            return enableBadge(node, data);
+        }
+        return null;
+    }
+
+    /**
+     * Removes a badge's DOM element, along with a redundant empty badge, from
+     * this control.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Node} The empty badge that took the place of the removed badge.
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function removeBadge(node) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        cancelRequest(node);
+        setError(node);
+        badgeClasses.delete(badgeKey);
+        if (node === activeNode) {
+            node.classList.remove('badge-active');
+            activeNode = null;
+        }
+        if (badgeMap.has(badgeKey)) {
+            const previousValue = badgeMap.get(badgeKey).value;
+            badgeMap.delete(badgeKey);
+            dispatch([{
+                type: 'delete',
+                node,
+                previousValue,
+            }]);
+        }
+        if (!hasEmptyBadgeBefore(node)) {
+            node.insertAdjacentElement('beforebegin', makeChild());
+        }
+        if (hasEmptyBadgeAfter(node)) {
+            const after = node.nextElementSibling;
+            if (after === activeNode) {
+                activeNode = null;
+            }
+            element.removeChild(after);
+        }
+        const spacer = node.previousElementSibling;
+        element.removeChild(node);
+        return spacer;
+    }
+
+    function validateBadge(node, data=undefined, reparse=false) {
+        if (isEditing(node)) {
+            return false;
+        }
+        if (data === undefined) {
+            const badgeKey = Number(node.dataset.badgeKey);
+            if (badgeMap.has(badgeKey)) {
+                data = badgeMap.get(badgeKey);
+            }
+            const textContent = getBadgeText(node);
+            if (textContent.trim() === '') {
+                cancelRequest(node);
+                node.classList.add('badge-empty');
+                if (data !== undefined) {
+                    updateBadge(node);
+                }
+            } else {
+                node.classList.remove('badge-empty');
+                if (isPending(node)) {
+                    return false;
+                } else if (reparse || data === undefined || data.textContent !== textContent) {
+                    const accept = items => {
+                        if (items.length !== 1) {
+                            throw new Error('Illegal argument: node does not contain a single item');
+                        }
+                        if (items[0] === undefined) {
+                            // still being entered, neither valid nor invalid
+                            updateBadge(node);
+                            node.classList.remove('badge-invalid');
+                            return false;
+                        }
+                        const source = getSource(node);
+                        const rawText = source
+                            ? source.leading + textContent + source.trailing : undefined;
+                        return settleBadge(node, rawText !== undefined
+                            ? {value: items[0], textContent, rawText}
+                            : {value: items[0], textContent});
+                    };
+                    const reject = error => {
+                        updateBadge(node, undefined, error);
+                    };
+                    try {
+                        const items = parse(textContent);
+                        if (isThenable(items)) {
+                            request(node, items, items => {
+                                if (accept(items)) {
+                                    enableBadge(node);
+                                }
+                            }, reject);
+                        } else {
+                            return accept(items);
+                        }
+                    } catch (e) {
+                        reject(e);
+                    }
+                } else {
+                    cancelRequest(node);
+                }
+            }
+            return false;
+        } else if (data.textContent.trim() === '') {
+            node.classList.add('badge-empty');
+            return false;
+        } else {
+            node.classList.remove('badge-empty');
+        }
+        return true;
+    }
+
+    /**
+     * Assigns the specified data to a badge, if the parser's
+     * [validator]{@link Validator} accepts it, otherwise the badge is made
+     * invalid.
+     *
+     * @param {Node} node - of the badge
+     * @param {BadgeData} data - for the badge
+     * @returns {Boolean} `true` if the badge is valid, `false` if it is
+     *     invalid or pending.
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function settleBadge(node, data) {
+        if (data.value && data.value.error !== undefined) {
+            updateBadge(node, undefined, data.value.error);
+            return false;
+        }
+        if (typeof parser.validate !== 'function') {
+            updateBadge(node, data);
+            return true;
+        }
+        const accept = valid => {
+            if (valid === false || typeof valid === 'string' || valid instanceof Error) {
+                updateBadge(node, undefined,
+                    valid === false ? BadgeEditable.invalidMessage : valid);
+                return false;
+            }
+            updateBadge(node, data);
+            return true;
+        };
+        try {
+            const valid = parser.validate(data.value, {
+                node,
+                key: Number(node.dataset.badgeKey),
+            });
+            if (isThenable(valid)) {
+                request(node, valid, valid => {
+                    if (accept(valid)) {
+                        enableBadge(node, data);
+                    }
+                }, e => updateBadge(node, undefined, e));
+                return false;
+            }
+            return accept(valid);
+        } catch (e) {
+            updateBadge(node, undefined, e);
+        }
+        return false;
+    }
+
+    /**
+     * Waits for a Promise on behalf of a badge, which is given the
+     * `badge-pending` class in the meantime.  Only the latest request of a
+     * badge is settled; the result of a request is ignored if another request
+     * has been made for the badge or the badge's text has changed.
+     *
+     * @param {Node} node - of the badge
+     * @param {Promise} promise - to wait for
+     * @param {function} resolve - called with the value of the promise
+     * @param {function} reject - called with the reason the promise, or
+     *     resolve, failed
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function request(node, promise, resolve, reject) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        const textContent = getBadgeText(node);
+        const sequence = ++requestSequence;
+        pendingRequests.set(badgeKey, {sequence, textContent});
+        node.classList.add('badge-pending');
+        const settle = (fn, value) => {
+            const pending = pendingRequests.get(badgeKey);
+            if (!pending || pending.sequence !== sequence) {
+                return;
+            }
+            pendingRequests.delete(badgeKey);
+            node.classList.remove('badge-pending');
+            if (!element.contains(node) || getBadgeText(node) !== textContent) {
+                return;
+            }
+            transaction(() => {
+                try {
+                    fn(value);
+                } catch (e) {
+                    reject(e);
+                }
+            }, true);
+        };
+        promise.then(value => settle(resolve, value), e => settle(reject, e));
+    }
+
+    /**
+     * `true` if a badge is waiting on a request for its current text.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Boolean}
+     * @inner
+     * @private
+     */
+    function isPending(node) {
+        const pending = pendingRequests.get(Number(node.dataset.badgeKey));
+        return pending !== undefined && pending.textContent === getBadgeText(node);
+    }
+
+    /**
+     * Discards the pending request of a badge, if any.
+     *
+     * @param {Node} node - of the badge
+     * @inner
+     * @private
+     */
+    function cancelRequest(node) {
+        if (pendingRequests.delete(Number(node.dataset.badgeKey))) {
+            node.classList.remove('badge-pending');
+        }
+    }
+
+    /**
+     * The message of a badge's error.
+     *
+     * @param {*} error - thrown (or returned) by the parser or validator
+     * @returns {String} The message.
+     * @inner
+     * @private
+     */
+    function getErrorMessage(error) {
+        if (error !== null && typeof error === 'object' && 'message' in error) {
+            return String(error.message);
+        }
+        return String(error);
+    }
+
+    /**
+     * Records the error of an invalid badge and describes the badge's element
+     * with the error's message, or clears the error of a badge.
+     *
+     * @param {Node} node - of the badge
+     * @param {*} [error] - the reason the badge is invalid, clears the error
+     *     when `undefined`
+     * @fires BadgeEditable#invalid
+     * @inner
+     * @private
+     */
+    function setError(node, error=undefined) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        if (error === undefined) {
+            if (badgeErrors.delete(badgeKey)) {
+                node.removeAttribute('title');
+                node.removeAttribute('aria-describedby');
+            }
+            const tooltip = errorTooltips.get(badgeKey);
+            if (tooltip) {
+                errorTooltips.delete(badgeKey);
+                tooltip.parentNode.removeChild(tooltip);
+            }
+            return;
+        }
+
+        const message = getErrorMessage(error);
+        const changed = !badgeErrors.has(badgeKey)
+            || getErrorMessage(badgeErrors.get(badgeKey)) !== message;
+        badgeErrors.set(badgeKey, error);
+
+        let tooltip = errorTooltips.get(badgeKey);
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.id = `badgeeditable-${instanceKey}-error-${badgeKey}`;
+            tooltip.className = 'tooltip bs-tooltip-bottom badge-error';
+            tooltip.setAttribute('role', 'tooltip');
+            tooltip.style.position = 'absolute';
+            tooltip.hidden = true;
+            tooltip.appendChild(document.createElement('div'))
+                .className = 'tooltip-inner';
+            element.ownerDocument.body.appendChild(tooltip);
+            errorTooltips.set(badgeKey, tooltip);
+        }
+        tooltip.firstChild.textContent = message;
+        node.title = message;
+        node.setAttribute('aria-describedby', tooltip.id);
+
+        if (changed) {
+            fire('invalid', [{
+                node,
+                key: badgeKey,
+                text: getBadgeText(node),
+                error,
+                message,
+            }]);
+        }
+    }
+
+    /**
+     * Shows the error tooltip of the active badge, if it has an error, and
+     * hides all other error tooltips.
+     *
+     * @inner
+     * @private
+     */
+    function showErrorTooltip() {
+        const activeKey = activeNode && isActive()
+            ? Number(activeNode.dataset.badgeKey) : undefined;
+        for (const [badgeKey, tooltip] of errorTooltips) {
+            const show = badgeKey === activeKey;
+            tooltip.hidden = !show;
+            tooltip.classList.toggle('show', show);
+            if (show) {
+                const rect = activeNode.getBoundingClientRect();
+                const view = element.ownerDocument.defaultView;
+                tooltip.style.left = `${rect.left + view.pageXOffset}px`;
+                tooltip.style.top = `${rect.bottom + view.pageYOffset}px`;
+            }
+        }
+    }
+
+    function enableBadge(node, data=undefined) {
+        let [before, after] = [makeChild(), makeChild()];
+        if (!hasEmptyBadgeBefore(node)) {
+            node.insertAdjacentElement('beforebegin', before);
+        }
+        if (!hasEmptyBadgeAfter(node)) {
+            node.insertAdjacentElement('afterend', after);
+        } else {
+            after = node.nextElementSibling;
+        }
+        const badgeKey = Number(node.dataset.badgeKey);
+        const lastChild = getSentinal(node);
+        if (!lastChild) {
+            if (!data) {
+                data = badgeMap.has(badgeKey)
+                    ? badgeMap.get(badgeKey) : {value:{}, textContent: ''};
+            }
+            addSentinal(node, data);
+        } else if(data || badgeMap.has(badgeKey)) {
+            if (!data) {
+                data = badgeMap.has(badgeKey)
+                    ? badgeMap.get(badgeKey) : {value:{}, textContent: ''};
+            }
+            if (data.sentinal !== data.value.sentinal) {
+                node.removeChild(lastChild);
+                addSentinal(node, data);
+            }
+        }
+        return after;
+    }
+
+    /**
+     * Converts a text offset within a badge's DOM element into a DOM position.
+     *
+     * @param {Node} node - of the badge
+     * @param {Number} offset - into the text content of the badge
+     * @returns {Array} The container node and offset within that container.
+     * @inner
+     * @private
+     */
+    function getPosition(node, offset) {
+        let text = null;
+        for (text of getTextNodes(node)) {
+            if (offset <= text.length) {
+                return [text, offset];
+            }
+            offset -= text.length;
+        }
+        return text ? [text, text.length] : [node, 0];
+    }
+
+    /**
+     * Collapses the selection to the specified text offset within a badge's
+     * DOM element.
+     *
+     * @param {Node} node - of the badge
+     * @param {Number} offset - into the text content of the badge
+     * @inner
+     * @private
+     */
+    function setCaret(node, offset) {
+        window.getSelection().collapse(...getPosition(node, offset));
+    }
+
+    /**
+     * Selects all the text of a badge's DOM element.
+     *
+     * @param {Node} node - of the badge
+     * @inner
+     * @private
+     */
+    function selectBadge(node) {
+        const selection = window.getSelection();
+        selection.setBaseAndExtent(
+            ...getPosition(node, 0),
+            ...getPosition(node, getBadgeText(node).length));
+    }
+
+    /**
+     * Converts a DOM position into a text offset within a badge's DOM element.
+     *
+     * @param {Node} node - of the badge
+     * @param {Node} container - of the DOM position
+     * @param {Number} offset - of the DOM position within container
+     * @returns {Number} The offset into the text content of the badge.
+     * @inner
+     * @private
+     */
+    function getCaretOffset(node, container, offset) {
+        const range = document.createRange();
+        range.setStart(node, 0);
+        range.setEnd(container, offset);
+        let length = 0;
+        for (const text of getTextNodes(node)) {
+            if (text === container) {
+                length += offset;
+                break;
+            }
+            if (range.intersectsNode(text)) {
+                length += text.length;
+            }
+        }
+        return Math.min(length, getBadgeText(node).length);
+    }
+
+    /**
+     * The text offsets of a range within a badge's DOM element.
+     *
+     * @param {Node} node - of the badge
+     * @param {AbstractRange} [range] - defaults to the range of the current
+     *     selection
+     * @returns {Array.<Number>} The start and end offsets of the range.
+     * @inner
+     * @private
+     */
+    function getSelectionOffsets(node, range=undefined) {
+        if (!range) {
+            const selection = window.getSelection();
+            if (selection.rangeCount === 0) {
+                const length = getBadgeText(node).length;
+                return [length, length];
+            }
+            range = selection.getRangeAt(0);
+        }
+        return [
+            getCaretOffset(node, range.startContainer, range.startOffset),
+            getCaretOffset(node, range.endContainer, range.endOffset),
+        ];
+    }
+
+    /**
+     * Replaces the text of a badge's DOM element, leaving its sentinal,
+     * decorations and action buttons intact.  The new text takes the place of
+     * the old text, between the decorations that preceded and followed it.
+     *
+     * @param {Node} node - of the badge
+     * @param {String} text - the new text content of the badge
+     * @inner
+     * @private
+     */
+    function setBadgeText(node, text) {
+        const sentinal = getSentinal(node);
+        let before = null;
+        let removed = false;
+        for (const child of Array.from(node.childNodes)) {
+            if (child !== sentinal && !isDecoration(child)) {
+                node.removeChild(child);
+                removed = true;
+            } else if (removed && !before) {
+                before = child;
+            }
+        }
+        if (text) {
+            node.insertBefore(document.createTextNode(text),
+                before || getActionButtons(node) || sentinal);
+        }
+    }
+
+    /**
+     * The element that contains the action buttons of a badge.
+     *
+     * @param {Node} node - of the badge
+     * @returns {Element} The container of the buttons, or `null` if the badge
+     *     has no buttons.
+     * @inner
+     * @private
+     */
+    function getActionButtons(node) {
+        return node.querySelector(':scope > .badge-actions');
+    }
+
+    /**
+     * The actions of the badges of this control, including the remove action
+     * when the badges are removable.
+     *
+     * @returns {Array.<BadgeAction>} The actions.
+     * @inner
+     * @private
+     */
+    function getActions() {
+        if (!removable) {
+            return actions;
+        }
+        return [{
+            name: 'remove',
+            label: 'Remove',
+            icon: '\u00d7',
+            handler: ({node}) => transaction(() => {
+                const spacer = removeBadge(node);
+                if (isActive()) {
+                    activateBadge(spacer, 0);
+                }
+            }),
+        }, ...actions];
+    }
+
+    /**
+     * Renders the action buttons within the valid badges of this control while
+     * it is editable, and removes them from all other badges.  The buttons are
+     * placed before the sentinal and have no text content, so that they do not
+     * contribute to the text of the badge.
+     *
+     * @inner
+     * @private
+     */
+    function updateActions() {
+        const all = isEditable() ? getActions() : [];
+        const names = all.map(action => action.name).join(' ');
+        for (const node of element.children) {
+            let buttons = getActionButtons(node);
+            const valid = badgeMap.has(Number(node.dataset.badgeKey));
+            if (buttons && (!valid || buttons.dataset.actions !== names)) {
+                node.removeChild(buttons);
+                buttons = null;
+            }
+            if (buttons || !valid || all.length === 0) {
+                continue;
+            }
+            buttons = document.createElement('span');
+            buttons.className = 'badge-actions';
+            buttons.contentEditable = 'false';
+            buttons.dataset.actions = names;
+            all.forEach((action, index) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.tabIndex = -1;
+                button.className = `badge-action badge-action-${action.name}`;
+                button.dataset.action = String(index);
+                button.setAttribute('aria-label', action.label);
+                if (action.icon) {
+                    button.dataset.icon = action.icon;
+                }
+                buttons.appendChild(button);
+            });
+            node.insertBefore(buttons, getSentinal(node));
+        }
+    }
+
+    /**
+     * Calls the handler of an action button.
+     *
+     * @param {Element} button - of the action
+     * @inner
+     * @private
+     */
+    function performAction(button) {
+        const node = getBadgeElement(button);
+        const action = getActions()[Number(button.dataset.action)];
+        const key = Number(node.dataset.badgeKey);
+        if (action && badgeMap.has(key) && isEditable()) {
+            action.handler({key, node, value: badgeMap.get(key).value, control});
+        }
+    }
+
+    /**
+     * Parses the specified text with this control's [parser]{@link Parser}.
+     * Items that are `undefined` are removed, except for the last item, which
+     * signifies a badge that is still being entered.
+     *
+     * @param {String} text - to be parsed
+     * @returns {Array} The parsed items and a flag indicating whether any items
+     *     were removed.
+     * @throws When the parser fails to parse the text.
+     * @inner
+     * @private
+     */
+    function parseText(text) {
+        const filter = allItems => {
+            const items = allItems.filter((d, i) => d !== undefined || i === allItems.length - 1);
+            return [items, items.length !== allItems.length];
+        };
+        const allItems = parse(text);
+        return isThenable(allItems) ? allItems.then(filter) : filter(allItems);
+    }
+
+    /**
+     * Calls this control's [parser]{@link Parser}, unless the specified text
+     * was the subject of the previous call, in which case the previous result
+     * is returned.
+     *
+     * @param {String} text - to be parsed
+     * @returns {Array.<BadgeUserData>|Promise.<Array.<BadgeUserData>>} The
+     *     result of the parser.
+     * @throws When the parser fails to parse the text.
+     * @inner
+     * @private
+     */
+    function parse(text) {
+        if (lastParse.text !== text) {
+            lastParse = {};
+            const result = parser.parse(text);
+            lastParse = {text, result};
+        }
+        return lastParse.result;
+    }
+
+    /**
+     * Splits the specified badge into a badge for every parsed item, the first
+     * item is assigned to the specified badge and new badges are inserted after
+     * it.  Items without any text are not given a badge; instead their source
+     * text is kept with the adjacent badge, unless an `undefined` last item
+     * is followed by more than whitespace, which is given a badge that is
+     * still being entered.  The caret is placed within the badge whose item's
+     * location contains the specified caret offset.
+     *
+     * @param {Node} badge - the badge to be split
+     * @param {String} text - the source text of the items
+     * @param {Array.<BadgeUserData>} items - parsed from text
+     * @param {Number} caret - the offset into text of the caret
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function splitBadge(badge, text, items, caret) {
+        const bounds = items.map((item, i) => {
+            if (i === 0) {
+                return 0;
+            }
+            const start = getOffset(item, 'start');
+            if (start !== undefined) {
+                return start;
+            }
+            const end = getOffset(items[i - 1], 'end');
+            return end !== undefined ? end : text.length;
+        });
+        bounds.push(text.length);
+
+        const trailing = getTrailingText(badge);
+        const segments = [];
+        let target = null;
+        items.forEach((item, i) => {
+            const rawText = text.substring(bounds[i], bounds[i + 1]);
+            let start = getOffset(item, 'start');
+            let end = getOffset(item, 'end');
+            if (start === undefined) {
+                start = bounds[i];
+            }
+            if (end === undefined) {
+                end = bounds[i + 1];
+            }
+            if (item === undefined && rawText.trim() !== '') {
+                // the badge that is still being entered, after any whitespace
+                const k = rawText.length - rawText.trimStart().length;
+                if (segments.length) {
+                    segments[segments.length - 1].rawText += rawText.substring(0, k);
+                }
+                segments.push({value: item, textContent: rawText.substring(k)});
+                if (!target && caret <= end) {
+                    target = {
+                        index: segments.length - 1,
+                        offset: Math.max(caret - bounds[i] - k, 0),
+                    };
+                }
+                return;
+            }
+            const textContent = item === undefined
+                ? '' : item.text || text.substring(start, end);
+            if (textContent.trim() === '') {
+                if (segments.length) {
+                    segments[segments.length - 1].rawText += rawText;
+                } else {
+                    bounds[i + 1] = bounds[i];
+                }
+                if (!target && caret <= end) {
+                    target = {index: segments.length - 1, after: true};
+                }
+                return;
+            }
+            segments.push({value: item, textContent, rawText});
+            if (!target && caret <= end) {
+                target = {
+                    index: segments.length - 1,
+                    offset: Math.min(Math.max(caret - start, 0), textContent.length),
+                };
+            }
+        });
+        if (!target) {
+            target = {index: segments.length - 1, after: true};
+        }
+        const last = segments.filter(segment => segment.value !== undefined).pop();
+        if (last) {
+            last.rawText += trailing;
+        }
+
+        const nodes = [];
+        transaction(() => {
+            if (segments.length === 0) {
+                setBadgeText(badge, '');
+                validateBadge(badge);
+                activateBadge(badge, 0);
+                return;
+            }
+
+            let after = null;
+            segments.forEach((data, i) => {
+                let node = badge;
+                if (i === 0) {
+                    setBadgeText(node, data.textContent);
+                    node.classList.remove('badge-empty');
+                } else {
+                    node = makeChild(data.textContent);
+                    after.insertAdjacentElement('afterend', node);
+                }
+                if (data.value === undefined) {
+                    validateBadge(node);
+                    after = enableBadge(node);
+                } else {
+                    settleBadge(node, data);
+                    after = enableBadge(node, data);
+                }
+                nodes.push(node);
+            });
+
+            if (target.index < 0) {
+                activateBadge(nodes[0].previousElementSibling, 0);
+            } else if (target.after) {
+                activateBadge(nodes[target.index].nextElementSibling, 0);
+            } else {
+                activateBadge(nodes[target.index], target.offset);
+            }
+        });
+        if (nodes.length) {
+            fire('split', {
+                node: badge,
+                nodes,
+                values: segments.map(segment => segment.value),
+            });
+        }
+    }
+
+    /**
+     * Applies the duplicate policy of this control to the badges that were
+     * added or changed during the current transaction, and to the duplicates
+     * that were being edited.  The change events of the current transaction
+     * are amended with the key of the badge that each duplicate conflicts
+     * with.
+     *
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function resolveDuplicates() {
+        if (!unique) {
+            return;
+        }
+        const candidates = new Set(deferredDuplicates);
+        deferredDuplicates.clear();
+        for (const change of pendingChanges) {
+            if (change.type === 'add' || change.type === 'change') {
+                candidates.add(change.node);
+            }
+        }
+        for (const node of element.querySelectorAll(':scope > .badge-duplicate')) {
+            node.classList.remove('badge-duplicate');
+            candidates.add(node);
+        }
+
+        const keys = new Map();
+        const duplicates = [];
+        for (const node of element.children) {
+            const badgeKey = Number(node.dataset.badgeKey);
+            if (badgeMap.has(badgeKey) && !candidates.has(node)) {
+                const key = unique(badgeMap.get(badgeKey).value);
+                if (!keys.has(key)) {
+                    keys.set(key, badgeKey);
+                }
+            }
+        }
+        for (const node of element.children) {
+            const badgeKey = Number(node.dataset.badgeKey);
+            if (badgeMap.has(badgeKey) && candidates.has(node)) {
+                const key = unique(badgeMap.get(badgeKey).value);
+                if (keys.has(key)) {
+                    duplicates.push([node, keys.get(key)]);
+                } else {
+                    keys.set(key, badgeKey);
+                }
+            }
+        }
+
+        for (const [node, duplicateOf] of duplicates) {
+            const editing = node === activeNode && isActive();
+            if (duplicatePolicy === 'mark' || editing || restoring) {
+                node.classList.add('badge-duplicate');
+                for (const change of pendingChanges) {
+                    if (change.node === node) {
+                        change.duplicateOf = duplicateOf;
+                    }
+                }
+                if (duplicatePolicy !== 'mark' && editing) {
+                    deferredDuplicates.add(node);
+                }
+                continue;
+            }
+
+            const value = badgeMap.get(Number(node.dataset.badgeKey)).value;
+            const spacer = removeBadge(node);
+            const changes = pendingChanges.filter(change => change.node === node);
+            pendingChanges = pendingChanges.filter(change => change.node !== node);
+            if (changes[0].type === 'add') {
+                pendingChanges.push({type: duplicatePolicy, node, value, duplicateOf});
+            } else {
+                pendingChanges.push({
+                    type: 'delete',
+                    node,
+                    previousValue: changes[0].previousValue,
+                    duplicateOf,
+                });
+            }
+            if (duplicatePolicy === 'merge' && isActive()) {
+                const other = getBadgeNode(duplicateOf);
+                activateBadge(other, getBadgeText(other).length);
+            } else if (!activeNode && isActive()) {
+                activateBadge(spacer, 0);
+            }
+        }
+    }
+
+    /**
+     * The number of badges in this control that have text, valid or not.
+     *
+     * @param {Node} [except] - a badge that is not counted
+     * @returns {Number} The number of badges.
+     * @inner
+     * @private
+     */
+    function countBadges(except=null) {
+        let count = 0;
+        for (const node of element.children) {
+            if (node !== except && getBadgeText(node) !== '') {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * The text content and offset into the source text of every item parsed
+     * from the source text of a badge, which is a single item unless it is
+     * to be split.  Items without text are measured by their location.
+     *
+     * @param {String} text - the source text of the items
+     * @param {Array.<BadgeUserData>} items - parsed from text
+     * @returns {Array.<Object>} The start offset and text content of each
+     *     item.
+     * @inner
+     * @private
+     */
+    function measureItems(text, items) {
+        if (items.length <= 1) {
+            return [{start: 0, textContent: text}];
+        }
+        return items.map((item, i) => {
+            const start = i === 0 ? 0 : getOffset(item, 'start');
+            const end = getOffset(item, 'end');
+            if (item === undefined) {
+                return {start: start !== undefined ? start : text.length, textContent: ''};
+            }
+            return {
+                start: start !== undefined ? start : text.length,
+                textContent: item.text || (start !== undefined && end !== undefined
+                    ? text.substring(start, end) : ''),
+            };
+        });
+    }
+
+    /**
+     * Determines whether replacing the text of a badge with the specified
+     * text, and its parsed items, would exceed the maximum number of badges
+     * or the maximum length of a badge.  Input that does not make matters
+     * worse is never blocked.
+     *
+     * @param {Node} badge - whose text is replaced
+     * @param {String} text - the new text of the badge
+     * @param {Array.<BadgeUserData>} items - parsed from text
+     * @param {String} [previous] - the text of the badge before it was
+     *     replaced, defaults to the badge's current text
+     * @returns {Object} The type and limit of the exceeded limit, and the
+     *     offset into text at which it is exceeded, or `null`.
+     * @inner
+     * @private
+     */
+    function getExceededLimit(badge, text, items, previous=getBadgeText(badge)) {
+        const measures = measureItems(text, items);
+        const longest = measures.find(({textContent}) => textContent.length > maxLength);
+        if (longest && longest.textContent.length > previous.length) {
+            return {type: 'maxLength', limit: maxLength, offset: longest.start + maxLength};
+        }
+        const badges = measures.filter(({textContent}) => textContent.trim() !== '');
+        const count = countBadges(badge) + badges.length;
+        if (count > maxBadges && count > countBadges()) {
+            const allowed = Math.max(maxBadges - countBadges(badge), 0);
+            return {type: 'maxBadges', limit: maxBadges, offset: badges[allowed].start};
+        }
+        return null;
+    }
+    /**
+     * Marks this control when it has the maximum number of badges, and each
+     * badge that has the maximum length.
+     *
+     * @inner
+     * @private
+     */
+    function updateLimits() {
+        element.classList.toggle('badge-max-badges', countBadges() >= maxBadges);
+        for (const node of element.children) {
+            node.classList.toggle('badge-max-length',
+                getBadgeText(node).length >= maxLength);
+        }
+    }
+
+    /**
+     * Parses the text of the specified badge as it would be after replacing
+     * the range with the specified input.  If the parser recognises more than
+     * one item then the badge is split, if the parser discards any items, or
+     * the input would exceed the maximum number of badges or the maximum
+     * length of a badge, then the input is ignored.  In any case the input is
+     * considered handled and should not be inserted by the browser.
+     *
+     * @param {Node} badge - containing the range
+     * @param {String} input - to be inserted
+     * @param {AbstractRange} [range] - to be replaced, defaults to the range of
+     *     the current selection
+     * @returns {Boolean} `true` if the input has been handled.
+     * @fires BadgeEditable#change
+     * @fires BadgeEditable#limit
+     * @inner
+     * @private
+     */
+    function interceptInput(badge, input, range=undefined) {
+        const [start, end] = getSelectionOffsets(badge, range);
+        const text = splice(getBadgeText(badge), start, end, input);
+        try {
+            const result = parseText(text);
+            if (isThenable(result)) {
+                // the browser inserts the input, which is parsed afterwards
+                result.catch(() => {});
+                return false;
+            }
+
+            const [items, removed] = result;
+            const limit = getExceededLimit(badge, text, items);
+            if (limit) {
+                delete limit.offset;
+                fire('limit', Object.assign(limit, {node: badge, input}));
+                return true;
+            }
+            badge.classList.remove('badge-invalid');
+
+            if (items.length > 1) {
+                splitBadge(badge, text, items, start + input.length);
+                return true;
+            }
+            return removed;
+        } catch (e) {
+            updateBadge(badge, undefined, e);
+        }
+        return false;
+    }
+
+    /**
+     * Replaces the current selection within the specified badge with the
+     * specified text and updates the badges accordingly.
+     *
+     * @param {Node} badge - containing the selection
+     * @param {String} input - to be inserted
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function insertText(badge, input) {
+        const [start, end] = getSelectionOffsets(badge);
+        if (isEditing(badge)) {
+            setBadgeText(badge, splice(getBadgeText(badge), start, end, input));
+            setCaret(badge, start + input.length);
+            return;
+        }
+        transaction(() => {
+            activateBadge(badge);
+            if (!interceptInput(badge, input)) {
+                setBadgeText(badge, splice(getBadgeText(badge), start, end, input));
+                setCaret(badge, start + input.length);
+                parseBadge(badge);
+            }
+        });
+    }
+
+    /**
+     * Parses the text that has been entered into the specified badge, by the
+     * browser, and updates the badges accordingly.
+     *
+     * @param {Node} badge - containing the entered text
+     * @fires BadgeEditable#change
+     * @fires BadgeEditable#limit
+     * @inner
+     * @private
+     */
+    function parseBadge(badge) {
+        const text = getBadgeText(badge);
+        const [, caret] = getSelectionOffsets(badge);
+        const data = badgeMap.get(Number(badge.dataset.badgeKey));
+        const previous = data ? data.textContent : '';
+        const split = ([items]) => {
+            badge.classList.remove('badge-invalid');
+            if (items.length > 1) {
+                splitBadge(badge, text, items, badge === activeNode
+                    ? getSelectionOffsets(badge)[1] : caret);
+                return true;
+            }
+            return false;
+        };
+        transaction(() => {
+            activateBadge(badge);
+            try {
+                const result = parseText(text);
+                if (isThenable(result)) {
+                    request(badge, result, result => {
+                        // the browser has inserted the input, so remove
+                        // what exceeds the limits and parse the rest
+                        const limit = getExceededLimit(badge, text, result[0], previous);
+                        if (limit) {
+                            const {offset} = limit;
+                            delete limit.offset;
+                            fire('limit', Object.assign(limit, {
+                                node: badge,
+                                input: text.substring(offset),
+                            }));
+                            const [, current] = getSelectionOffsets(badge);
+                            setBadgeText(badge, text.substring(0, offset));
+                            if (badge === activeNode) {
+                                setCaret(badge, Math.min(current, offset));
+                            }
+                            parseBadge(badge);
+                            return;
+                        }
+                        if (!split(result) && validateBadge(badge)) {
+                            enableBadge(badge);
+                        }
+                    }, e => updateBadge(badge, undefined, e));
+                    return;
+                }
+                if (split(result)) {
+                    return;
+                }
+            } catch (e) {
+                updateBadge(badge, undefined, e);
+            }
+            if (validateBadge(badge)) {
+                enableBadge(badge);
+            }
+        });
+    }
+
+    /**
+     * The source text of a badge, i.e. the text as it was entered when it is
+     * known, otherwise the text content of the badge's DOM element.
+     *
+     * @param {Node} node - of the badge
+     * @returns {String} The source text.
+     * @inner
+     * @private
+     */
+    function getSourceText(node) {
+        const source = getSource(node);
+        return source
+            ? source.leading + source.textContent + source.trailing
+            : getBadgeText(node);
+    }
+
+    /**
+     * The source text of a badge split around its text content: the text
+     * that precedes it, such as a leading delimiter of the first badge, and
+     * the text that follows it, such as a delimiter.  The source text of a
+     * valid badge is kept in its data, that of an invalid badge in {@link
+     * invalidSources}.
+     *
+     * @param {Node} node - of the badge
+     * @returns {?Object} The `leading` text, `textContent` and `trailing`
+     *     text of the badge, or `null` if its source text is not known.
+     * @inner
+     * @private
+     */
+    function getSource(node) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        if (badgeMap.has(badgeKey)) {
+            const {rawText, textContent} = badgeMap.get(badgeKey);
+            if (rawText === undefined) {
+                return null;
+            }
+            const index = rawText.indexOf(textContent);
+            return index < 0
+                ? {leading: '', textContent: rawText, trailing: ''}
+                : {
+                    leading: rawText.substring(0, index),
+                    textContent,
+                    trailing: rawText.substring(index + textContent.length),
+                };
+        }
+        if (invalidSources.has(badgeKey)) {
+            const {leading, trailing} = invalidSources.get(badgeKey);
+            return {leading, textContent: getBadgeText(node), trailing};
+        }
+        return null;
+    }
+
+    /**
+     * The text that follows the text content of a badge in its source text,
+     * such as a delimiter.
+     *
+     * @param {Node} node - of the badge
+     * @returns {String} The trailing text, if any.
+     * @inner
+     * @private
+     */
+    function getTrailingText(node) {
+        const source = getSource(node);
+        return source ? source.trailing : '';
+    }
+
+    /**
+     * Replaces the text that follows the text content of a badge in its source
+     * text.
+     *
+     * @param {Node} node - of the badge
+     * @param {String} trailing - the new trailing text
+     * @inner
+     * @private
+     */
+    function setTrailingText(node, trailing) {
+        const badgeKey = Number(node.dataset.badgeKey);
+        const source = getSource(node);
+        const leading = source ? source.leading : '';
+        if (badgeMap.has(badgeKey)) {
+            const data = badgeMap.get(badgeKey);
+            data.rawText = leading + data.textContent + trailing;
+        } else {
+            invalidSources.set(badgeKey, {leading, trailing});
+        }
+    }
+
+    /**
+     * Converts a DOM position into a badge and a text offset within that badge.
+     * Positions between badges are moved into the adjacent badge.
+     *
+     * @param {Node} container - of the DOM position
+     * @param {Number} offset - of the DOM position within container
+     * @param {Boolean} end - `true` if the position is the end of a range
+     * @returns {Array} The badge's DOM element and the offset into its text.
+     * @inner
+     * @private
+     */
+    function getBadgePosition(container, offset, end) {
+        let badge = getBadgeElement(container);
+        if (badge) {
+            return [badge, getCaretOffset(badge, container, offset)];
+        }
+        if (container === element) {
+            badge = getBadgeElement(element.childNodes[end ? offset - 1 : offset]);
+        }
+        if (!badge && !element.contains(container)) {
+            badge = end ? element.lastElementChild : element.firstElementChild;
+        }
+        if (!badge) {
+            return [null, 0];
+        }
+        return [badge, end ? getBadgeText(badge).length : 0];
+    }
+
+    /**
+     * A range of text across the badges of this control.
+     *
+     * @typedef BadgeRange
+     * @property {Node} start - the badge in which the range starts
+     * @property {Number} startOffset - the offset into the text of start
+     * @property {Node} end - the badge in which the range ends
+     * @property {Number} endOffset - the offset into the text of end
+     * @private
+     */
+
+    /**
+     * Converts a DOM range into a range of text across the badges of this
+     * control.
+     *
+     * @param {AbstractRange} [range] - defaults to the range of the current
+     *     selection
+     * @returns {BadgeRange} The range, or `null` when the range does not
+     *     include any badges.
+     * @inner
+     * @private
+     */
+    function getBadgeRange(range=undefined) {
+        if (!range) {
+            const selection = window.getSelection();
+            if (selection.rangeCount === 0) {
+                return null;
+            }
+            range = selection.getRangeAt(0);
+        }
+        const [start, startOffset] = getBadgePosition(
+            range.startContainer, range.startOffset, false);
+        const [end, endOffset] = getBadgePosition(
+            range.endContainer, range.endOffset, true);
+        if (!start || !end) {
+            return null;
+        }
+        return {start, startOffset, end, endOffset};
+    }
+
+    /**
+     * The source text of a range of badges.  Badges that are entirely within
+     * the range contribute their [source text]{@link getSourceText}, the
+     * badges at either end contribute the selected part of their text.
+     *
+     * @param {BadgeRange} range - of the badges
+     * @returns {String} The source text.
+     * @inner
+     * @private
+     */
+    function getRangeText(range) {
+        let text = '';
+        for (let node = range.start; node; node = node.nextElementSibling) {
+            const textContent = getBadgeText(node);
+            const start = node === range.start ? range.startOffset : 0;
+            const end = node === range.end ? range.endOffset : textContent.length;
+            if (end < textContent.length) {
+                text += textContent.substring(start, end);
+            } else {
+                text += start === 0 ? getSourceText(node)
+                    : textContent.substring(start) + getTrailingText(node);
+            }
+            if (node === range.end) {
+                break;
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Deletes the text of a range of badges.  Badges that are entirely within
+     * the range are removed and the remaining text of the badges at either end
+     * is joined and re-parsed.  The caret is placed where the range was.
+     *
+     * @param {BadgeRange} range - to be deleted
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function deleteRange({start, startOffset, end, endOffset}) {
+        const text = getBadgeText(start).substring(0, startOffset)
+            + getBadgeText(end).substring(endOffset);
+        const trailing = getTrailingText(end);
+        transaction(() => {
+            setTrailingText(start, trailing);
+            if (start !== end) {
+                const nodes = [];
+                for (let node = start.nextElementSibling; node !== end; node = node.nextElementSibling) {
+                    nodes.push(node);
+                }
+                nodes.push(end);
+                nodes.filter(node => !node.classList.contains('badge-empty'))
+                    .forEach(removeBadge);
+            }
+            if (text) {
+                setBadgeText(start, text);
+                start.classList.remove('badge-empty');
+                setCaret(start, startOffset);
+                parseBadge(start);
+            } else if (start.classList.contains('badge-empty')) {
+                activateBadge(start, 0);
+            } else {
+                activateBadge(removeBadge(start), 0);
+            }
+        });
+    }
+
+    /**
+     * `true` if the specified range spans more than one badge.
+     *
+     * @param {BadgeRange} range - of the badges
+     * @returns {Boolean}
+     * @inner
+     * @private
+     */
+    function isMultiBadgeRange(range) {
+        return range !== null && range.start !== range.end;
+    }
+
+    /**
+     * Finds the nearest badge before or after the specified badge that is not
+     * empty.
+     *
+     * @param {Node} node - of the badge
+     * @param {Boolean} forward - `true` to search after node
+     * @returns {Node} The badge's DOM element, if any.
+     * @inner
+     * @private
+     */
+    function getSiblingBadge(node, forward) {
+        const sibling = forward ? 'nextElementSibling' : 'previousElementSibling';
+        let badge = node[sibling];
+        while (badge && badge.classList.contains('badge-empty')) {
+            badge = badge[sibling];
+        }
+        return getBadgeElement(badge);
+    }
+
+    /**
+     * Joins the text of two adjacent badges into the first badge and re-parses
+     * it, the caret is placed where the two texts meet.
+     *
+     * @param {Node} first - the badge that receives the text
+     * @param {Node} second - the badge that is removed
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function mergeBadges(first, second) {
+        const caret = getBadgeText(first).length;
+        const text = getBadgeText(first) + getBadgeText(second);
+        const trailing = getTrailingText(second);
+        transaction(() => {
+            setTrailingText(first, trailing);
+            removeBadge(second);
+            setBadgeText(first, text);
+            first.classList.remove('badge-empty');
+            setCaret(first, caret);
+            parseBadge(first);
+        });
+    }
+
+    /**
+     * Handles the keys that move the caret or delete text across badge
+     * boundaries, which are otherwise left to the browser.
+     *
+     * @param {KeyboardEvent} e - the keydown event
+     * @returns {Boolean} `true` if the key has been handled.
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function navigate(e) {
+        const selection = window.getSelection();
+        const badge = getBadgeElement(selection.anchorNode);
+        const modified = e.altKey || e.ctrlKey || e.metaKey || e.shiftKey;
+
+        if (selection.rangeCount === 0) {
+            return false;
+        }
+
+        const range = getBadgeRange();
+        if (isMultiBadgeRange(range)) {
+            if (e.key === 'Backspace' || e.key === 'Delete') {
+                deleteRange(range);
+                return true;
+            }
+            return false;
+        }
+
+        if (!badge) {
+            return false;
+        }
+
+        const [start, end] = getSelectionOffsets(badge);
+        const length = getBadgeText(badge).length;
+        const whole = !selection.isCollapsed && length > 0
+            && getBadgeElement(selection.focusNode) === badge
+            && start === 0 && end === length;
+
+        switch (e.key) {
+        case 'Enter':
+            if (modified) {
+                return false;
+            }
+            if (isEditing(badge)) {
+                transaction(() => closeEditor(true));
+                return true;
+            }
+            if (isAtomic(badge)) {
+                transaction(() => openEditor(badge), true);
+                return true;
+            }
+            return false;
+        case 'Escape':
+            if (isEditing(badge)) {
+                transaction(() => closeEditor(false), true);
+                return true;
+            }
+            return false;
+        case 'Backspace':
+        case 'Delete': {
+            const forward = e.key === 'Delete';
+            if (whole || isAtomic(badge)) {
+                transaction(() => {
+                    activateBadge(removeBadge(badge), 0);
+                });
+                return true;
+            }
+            if (!selection.isCollapsed || start !== (forward ? length : 0)) {
+                return false;
+            }
+            const sibling = getSiblingBadge(badge, forward);
+            if (!sibling) {
+                return true;
+            }
+            if (badge.classList.contains('badge-empty') || isAtomic(sibling)) {
+                activateBadge(sibling);
+                selectBadge(sibling);
+            } else if (forward) {
+                mergeBadges(badge, sibling);
+            } else {
+                mergeBadges(sibling, badge);
+            }
+            return true;
+        }
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const forward = e.key === 'ArrowRight';
+            if (!modified && isAtomic(badge)) {
+                const spacer = forward
+                    ? badge.nextElementSibling : badge.previousElementSibling;
+                activateBadge(spacer, forward ? 0 : getBadgeText(spacer).length);
+                return true;
+            }
+            if (modified || !selection.isCollapsed
+                || start !== (forward ? length : 0)) {
+                return false;
+            }
+            const sibling = forward
+                ? badge.nextElementSibling : badge.previousElementSibling;
+            if (sibling) {
+                activateBadge(sibling, forward ? 0 : getBadgeText(sibling).length);
+            }
+            return true;
+        }
+        case 'Home':
+        case 'End': {
+            const target = e.key === 'Home'
+                ? element.firstElementChild : element.lastElementChild;
+            if (modified || !target) {
+                return false;
+            }
+            activateBadge(target, e.key === 'Home' ? 0 : getBadgeText(target).length);
+            return true;
+        }
+        }
+        return false;
+    }
+
+    /**
+     * Requests suggestions for the active badge, after the configured delay,
+     * unless its text has not changed since the last request.
+     *
+     * @inner
+     * @private
+     */
+    function requestSuggestions() {
+        if (!suggest || !isEditable()) {
+            return;
+        }
+        const node = activeNode;
+        const text = node ? getBadgeText(node) : '';
+        if (node === suggestions.node && text === suggestions.text) {
+            return;
+        }
+        const request = ++suggestions.request;
+        clearTimeout(suggestions.timer);
+        suggestions.node = node;
+        suggestions.text = text;
+        if (!node || text.trim().length < suggestMinLength) {
+            closeSuggestions();
+            return;
+        }
+        suggestions.timer = setTimeout(() => {
+            const badgeKey = Number(node.dataset.badgeKey);
+            const context = {
+                node,
+                key: badgeKey,
+                offset: getSelectionOffsets(node)[1],
+            };
+            if (badgeMap.has(badgeKey)) {
+                context.value = badgeMap.get(badgeKey).value;
+            }
+            const show = items => {
+                if (request === suggestions.request && node === activeNode) {
+                    showSuggestions(items || []);
+                }
+            };
+            try {
+                const items = suggest(text, context);
+                if (items && typeof items.then === 'function') {
+                    items.then(show, () => show([]));
+                } else {
+                    show(items);
+                }
+            } catch {
+                show([]);
+            }
+        }, suggestDelay);
+    }
+
+    /**
+     * Lists the specified suggestions below the active badge.
+     *
+     * @param {Array.<BadgeUserData>} items - the suggestions
+     * @inner
+     * @private
+     */
+    function showSuggestions(items) {
+        if (items.length === 0) {
+            closeSuggestions();
+            return;
+        }
+        let listbox = suggestions.listbox;
+        if (!listbox) {
+            listbox = suggestions.listbox = document.createElement('div');
+            listbox.id = `badgeeditable-${instanceKey}-suggestions`;
+            listbox.className = 'dropdown-menu badge-suggestions';
+            listbox.setAttribute('role', 'listbox');
+            listbox.style.position = 'absolute';
+            listbox.addEventListener('mousedown', function mousedown(e) {
+                // keep the focus (and the caret) in the control
+                e.preventDefault();
+            });
+            listbox.addEventListener('click', function click(e) {
+                const option = e.target.closest('[role="option"]');
+                if (option) {
+                    acceptSuggestion(Number(option.dataset.index));
+                }
+            });
+            element.ownerDocument.body.appendChild(listbox);
+        }
+        while (listbox.firstChild) {
+            listbox.removeChild(listbox.firstChild);
+        }
+        items.forEach((item, index) => {
+            const option = document.createElement('div');
+            option.id = `${listbox.id}-${index}`;
+            option.className = 'dropdown-item badge-suggestion';
+            option.dataset.index = String(index);
+            option.setAttribute('role', 'option');
+            option.setAttribute('aria-selected', 'false');
+            option.textContent = 'label' in item ? item.label : item.text;
+            listbox.appendChild(option);
+        });
+
+        const rect = suggestions.node.getBoundingClientRect();
+        const view = element.ownerDocument.defaultView;
+        listbox.style.left = `${rect.left + view.pageXOffset}px`;
+        listbox.style.top = `${rect.bottom + view.pageYOffset}px`;
+        listbox.classList.add('show');
+        listbox.hidden = false;
+
+        suggestions.items = items;
+        highlightSuggestion(-1);
+        element.setAttribute('aria-controls', `${listbox.id} ${badgeList.id}`);
+        element.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Hides the list of suggestions and discards any pending request.
+     *
+     * @inner
+     * @private
+     */
+    function closeSuggestions() {
+        clearTimeout(suggestions.timer);
+        suggestions.request++;
+        suggestions.items = [];
+        suggestions.index = -1;
+        if (suggestions.listbox) {
+            suggestions.listbox.classList.remove('show');
+            suggestions.listbox.hidden = true;
+            element.setAttribute('aria-controls', badgeList.id);
+            element.setAttribute('aria-expanded', 'false');
+            element.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Highlights the suggestion at the specified index.
+     *
+     * @param {Number} index - of the suggestion, -1 for none
+     * @inner
+     * @private
+     */
+    function highlightSuggestion(index) {
+        const options = suggestions.listbox.children;
+        suggestions.index = index;
+        for (let i = 0; i < options.length; i++) {
+            options[i].classList.toggle('active', i === index);
+            options[i].setAttribute('aria-selected', String(i === index));
+        }
+        if (index >= 0) {
+            element.setAttribute('aria-activedescendant', options[index].id);
+        } else {
+            updateActiveDescendant();
+        }
+    }
+
+    /**
+     * Replaces the text and data of the badge for which suggestions are listed
+     * with the suggestion at the specified index, and moves the caret after
+     * that badge.
+     *
+     * @param {Number} index - of the suggestion
+     * @fires BadgeEditable#change
+     * @inner
+     * @private
+     */
+    function acceptSuggestion(index) {
+        const node = suggestions.node;
+        const value = suggestions.items[index];
+        if (!node || !value) {
+            return;
+        }
+        closeSuggestions();
+        const textContent = value.text;
+        const trailing = getTrailingText(node);
+        transaction(() => {
+            const data = trailing
+                ? {value, textContent, rawText: textContent + trailing}
+                : {value, textContent};
+            setBadgeText(node, textContent);
+            node.classList.remove('badge-empty');
+            updateBadge(node, data);
+            activateBadge(enableBadge(node, data), 0);
+        });
+    }
+
+    /**
+     * Handles the keys that choose a suggestion while suggestions are listed.
+     *
+     * @param {KeyboardEvent} e - the keydown event
+     * @returns {Boolean} `true` if the key has been handled.
+     * @inner
+     * @private
+     */
+    function navigateSuggestions(e) {
+        const count = suggestions.items.length;
+        if (count === 0 || e.altKey || e.ctrlKey || e.metaKey) {
+            return false;
+        }
+        switch (e.key) {
+        case 'ArrowDown':
+            highlightSuggestion((suggestions.index + 1) % count);
+            return true;
+        case 'ArrowUp':
+            highlightSuggestion((suggestions.index + count - 1) % count);
+            return true;
+        case 'Enter':
+        case 'Tab':
+            if (e.shiftKey) {
+                return false;
+            }
+            acceptSuggestion(Math.max(suggestions.index, 0));
+            return true;
+        case 'Escape':
+            closeSuggestions();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Submits the badges of this control with its form, by way of hidden input
+     * elements or the internals of a custom element, and updates the validity
+     * of this control.
+     *
+     * @inner
+     * @private
+     */
+    function updateForm() {
+        const values = [];
+        forEach((value, node, key) => {
+            values.push(String(serialize(value, key)));
+        });
+
+        if (internals) {
+            if (name && !disabled()) {
+                const data = new FormData();
+                values.forEach(value => data.append(name, value));
+                internals.setFormValue(data);
+            } else {
+                internals.setFormValue(null);
+            }
+        } else if (formState.inputs) {
+            const inputs = formState.inputs;
+            while (inputs.childElementCount > values.length) {
+                inputs.removeChild(inputs.lastElementChild);
+            }
+            while (inputs.childElementCount < values.length) {
+                const input = document.createElement('input');
+                input.type = 'hidden';
+                inputs.appendChild(input);
+            }
+            values.forEach((value, i) => {
+                const input = inputs.children[i];
+                input.name = name || '';
+                input.value = value;
+                input.disabled = !name || disabled();
+            });
+        }
+
+        const [flags, message] = getValidity(values.length);
+        if (internals) {
+            internals.setValidity(flags, message, element);
+        } else if (formState.proxy) {
+            formState.proxy.setCustomValidity(message);
+        }
+        if (message) {
+            element.setAttribute('aria-invalid', 'true');
+        } else {
+            element.removeAttribute('aria-invalid');
+        }
+    }
+
+    /**
+     * Determines the validity of this control.
+     *
+     * @param {Number} count - the number of valid badges
+     * @returns {Array} The ValidityState flags and the validation message.
+     * @inner
+     * @private
+     */
+    function getValidity(count) {
+        if (disabled()) {
+            return [{}, ''];
+        }
+        if (formState.customError) {
+            return [{customError: true}, formState.customError];
+        }
+        if (required && count === 0) {
+            return [{valueMissing: true}, 'Please fill out this field.'];
+        }
+        const invalid = errors();
+        if (invalid.length || element.querySelector('.badge-invalid')) {
+            return [{badInput: true}, invalid.length
+                ? invalid[0].message : 'Please correct the invalid items.'];
+        }
+        if (count > 0 && count < minBadges) {
+            return [{rangeUnderflow: true}, `Please enter at least ${minBadges} items.`];
+        }
+        if (count > maxBadges) {
+            return [{rangeOverflow: true}, `Please enter no more than ${maxBadges} items.`];
+        }
+        return [{}, ''];
+    }
+
+    /**
+     * Updates whether this control accepts input, according to its own
+     * disabled state and that of the fieldsets it is within.
+     *
+     * @inner
+     * @private
+     */
+    function updateDisabled() {
+        if (!internals) {
+            formState.formDisabled = element.closest('fieldset[disabled]') !== null;
+        }
+        const isDisabled = disabled();
+        // a read-only control remains editable so that its badges can still be
+        // navigated and selected with the keyboard, its input is discarded
+        element.contentEditable = isDisabled ? 'false' : 'true';
+        if (isDisabled) {
+            element.setAttribute('aria-disabled', 'true');
+        } else {
+            element.removeAttribute('aria-disabled');
+        }
+        if (readOnly) {
+            element.setAttribute('aria-readonly', 'true');
+        } else {
+            element.removeAttribute('aria-readonly');
+        }
+        element.classList.toggle('disabled', isDisabled);
+        element.classList.toggle('readonly', readOnly);
+        updateForm();
+        updateDraggable();
+        updateActions();
+    }
+
+    /**
+     * Shows the placeholder of this control while it has no text.
+     *
+     * @inner
+     * @private
+     */
+    function updatePlaceholder() {
+        if (placeholder) {
+            element.dataset.placeholder = placeholder;
+            element.setAttribute('aria-placeholder', placeholder);
+        } else {
+            delete element.dataset.placeholder;
+            element.removeAttribute('aria-placeholder');
+        }
+        const empty = Array.from(element.children)
+            .every(node => getBadgeText(node) === '');
+        element.classList.toggle('badge-placeholder-shown', Boolean(placeholder) && empty);
+    }
+
+    /**
+     * Queues the announcements of the specified changes.
+     *
+     * @param {Array.<ChangeEvent|InvalidEvent>} changes - to be announced
+     * @inner
+     * @private
+     */
+    function queueAnnouncements(changes) {
+        for (const change of changes) {
+            if (change.type === 'delete' && change.node.parentNode === element
+                && change.node.classList.contains('badge-invalid')) {
+                // announced as invalid instead
+                continue;
+            }
+            const message = announce(change);
+            if (message) {
+                live.messages.push(message);
+            }
+        }
+    }
+
+    /**
+     * Points the active descendant of this control at the active badge,
+     * unless a suggestion is highlighted.
+     *
+     * @inner
+     * @private
+     */
+    function updateActiveDescendant() {
+        if (suggestions.index >= 0) {
+            return;
+        }
+        if (activeNode && activeNode.id && isActive()) {
+            element.setAttribute('aria-activedescendant', activeNode.id);
+        } else {
+            element.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * Exposes the state of each badge to assistive technology and makes any
+     * queued announcements.  Each badge is an option of the listbox that owns
+     * the badges, with its position among the badges, so that the active
+     * badge can be the active descendant of this control; the active badge is
+     * selected and invalid badges are marked as such.  Spacers have no role.
+     *
+     * @inner
+     * @private
+     */
+    function updateAria() {
+        const invalid = [];
+        const keys = new Set();
+        const badges = new Set(Array.from(element.children).filter(node =>
+            !(node.classList.contains('badge-empty') && getBadgeText(node) === '')));
+        const owned = [];
+        for (const node of element.children) {
+            const badgeKey = Number(node.dataset.badgeKey);
+            const empty = !badges.has(node);
+            if (empty) {
+                node.removeAttribute('id');
+                node.removeAttribute('role');
+                node.removeAttribute('aria-selected');
+                node.removeAttribute('aria-posinset');
+                node.removeAttribute('aria-setsize');
+            } else {
+                node.id = `badgeeditable-${instanceKey}-badge-${badgeKey}`;
+                node.setAttribute('role', 'option');
+                node.setAttribute('aria-selected', String(node === activeNode));
+                node.setAttribute('aria-posinset', String(owned.push(node.id)));
+                node.setAttribute('aria-setsize', String(badges.size));
+            }
+            if (node.classList.contains('badge-invalid') && !empty) {
+                node.setAttribute('aria-invalid', 'true');
+                keys.add(badgeKey);
+                if (!live.invalid.has(badgeKey)) {
+                    const error = badgeErrors.get(badgeKey);
+                    invalid.push({
+                        type: 'invalid',
+                        node,
+                        key: badgeKey,
+                        text: getBadgeText(node),
+                        error,
+                        message: error === undefined ? '' : getErrorMessage(error),
+                    });
+                }
+            } else {
+                node.removeAttribute('aria-invalid');
+            }
+        }
+        live.invalid = keys;
+        badgeList.setAttribute('aria-owns', owned.join(' '));
+        for (const name of ['aria-label', 'aria-labelledby']) {
+            if (element.hasAttribute(name)) {
+                badgeList.setAttribute(name, element.getAttribute(name));
+            } else {
+                badgeList.removeAttribute(name);
+            }
+        }
+        queueAnnouncements(invalid);
+        updateActiveDescendant();
+
+        if (live.messages.length && live.region) {
+            live.region.textContent = live.messages.join(' ');
+        }
+        live.messages = [];
+    }
+
+    /**
+     * Makes the valid badges of this control draggable while it is
+     * reorderable and editable.
+     *
+     * @inner
+     * @private
+     */
+    function updateDraggable() {
+        const draggable = reorderable && isEditable();
+        for (const node of element.children) {
+            if (draggable && badgeMap.has(Number(node.dataset.badgeKey))) {
+                node.draggable = true;
+            } else {
+                node.removeAttribute('draggable');
+            }
+        }
+    }
+
+    /**
+     * Shows where the dragged badge will be dropped, by marking the spacer
+     * at that position.
+     *
+     * @param {Element} [spacer] - the spacer before which the dragged badge
+     *     will be dropped, hides the indicator when omitted
+     * @inner
+     * @private
+     */
+    function showDropIndicator(spacer=null) {
+        if (drag.indicator && drag.indicator !== spacer) {
+            drag.indicator.classList.remove('badge-drop-indicator');
+        }
+        drag.indicator = spacer;
+        if (spacer) {
+            spacer.classList.add('badge-drop-indicator');
+        }
+    }
+
+    /**
+     * The spacer closest to the specified pointer position.
+     *
+     * @param {DragEvent} e - with the pointer position
+     * @returns {Element} The spacer, if the pointer is over a badge.
+     * @inner
+     * @private
+     */
+    function getDropSpacer(e) {
+        const node = getBadgeElement(e.target);
+        if (!node || node.parentNode !== element) {
+            return null;
+        }
+        if (node.classList.contains('badge-empty')) {
+            return node;
+        }
+        const rect = node.getBoundingClientRect();
+        return e.clientX < rect.left + rect.width / 2
+            ? node.previousElementSibling : node.nextElementSibling;
+    }
+
+    /**
+     * The index at which the dragged badge would be placed if it were dropped
+     * before the specified spacer.
+     *
+     * @param {Element} spacer - the spacer before which the badge is dropped
+     * @returns {Number} The new index of the dragged badge.
+     * @inner
+     * @private
+     */
+    function getDropIndex(spacer) {
+        let index = 0;
+        for (let node = spacer.previousElementSibling; node; node = node.previousElementSibling) {
+            if (node !== drag.node && badgeMap.has(Number(node.dataset.badgeKey))) {
+                index++;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Ends the dragging of a badge.
+     *
+     * @inner
+     * @private
+     */
+    function endDrag() {
+        showDropIndicator();
+        if (drag.node) {
+            drag.node.classList.remove('badge-dragging');
+            drag.node = null;
+        }
+    }
+
+    /**
+     * Called by a form-associated custom element when the disabled state of
+     * its fieldset changes.
+     *
+     * @param {Boolean} disabled - `true` if the element is disabled by its
+     *     fieldset
+     * @inner
+     * @private
+     */
+    function formDisabledCallback(disabled) {
+        formState.formDisabled = disabled;
+        updateDisabled();
+    }
+
+    /**
+     * Resets this control when its form is reset.
+     *
+     * @inner
+     * @private
+     */
+    function formReset() {
+        reset();
+    }
+
+    /**
+     * Attaches the parts of this control that live outside of its element,
+     * such as its hidden input elements, to the document.  Called when the
+     * element of a custom element is inserted into a document.
+     *
+     * @inner
+     * @private
+     */
+    function connectedCallback() {
+        const body = element.ownerDocument.body;
+        if (suggestions.listbox) {
+            body.appendChild(suggestions.listbox);
+        }
+        for (const tooltip of errorTooltips.values()) {
+            body.appendChild(tooltip);
+        }
+        if (element.parentNode) {
+            element.insertAdjacentElement('afterend', live.region);
+            element.insertAdjacentElement('afterend', badgeList);
+        }
+        if (!internals && element.parentNode) {
+            formState.owner = element.closest('form');
+            updateFormParts();
+            if (formState.owner) {
+                formState.owner.addEventListener('reset', formReset);
+            }
+            let fieldset = element.closest('fieldset');
+            while (fieldset) {
+                formState.observer.observe(fieldset, {attributes: true, attributeFilter: ['disabled']});
+                fieldset = fieldset.parentElement && fieldset.parentElement.closest('fieldset');
+            }
+        }
+        updateDisabled();
+    }
+
+    /**
+     * Inserts the hidden input elements of this control, and the input
+     * through which its validity is reported, after its element while it
+     * takes part in a form, i.e. while it is within a form or has a name,
+     * otherwise removes them.  Without {@link ElementInternals} the hidden
+     * inputs submit the badges with the form.
+     *
+     * @inner
+     * @private
+     */
+    function updateFormParts() {
+        if (internals) {
+            return;
+        }
+        if (!destroyed && element.parentNode && (formState.owner || name)) {
+            if (!formState.inputs) {
+                const inputs = formState.inputs = document.createElement('span');
+                inputs.className = 'badge-inputs';
+                inputs.hidden = true;
+            }
+            if (!formState.inputs.parentNode) {
+                element.insertAdjacentElement('afterend', formState.inputs);
+            }
+            if (!formState.proxy.parentNode) {
+                element.insertAdjacentElement('afterend', formState.proxy);
+            }
+        } else {
+            for (const part of [formState.inputs, formState.proxy]) {
+                if (part && part.parentNode) {
+                    part.parentNode.removeChild(part);
+                }
+            }
+        }
+    }
+
+    /**
+     * Detaches the parts of this control that live outside of its element
+     * from the document, and discards any pending suggestions.  Called when
+     * the element of a custom element is removed from its document.
+     *
+     * @inner
+     * @private
+     */
+    function disconnectedCallback() {
+        closeSuggestions();
+        suggestions.node = null;
+        const parts = [live.region, badgeList, suggestions.listbox, ...errorTooltips.values()];
+        if (!internals) {
+            parts.push(formState.inputs, formState.proxy);
+            if (formState.owner) {
+                formState.owner.removeEventListener('reset', formReset);
+                formState.owner = null;
+            }
+            formState.observer.disconnect();
+        }
+        for (const part of parts) {
+            if (part && part.parentNode) {
+                part.parentNode.removeChild(part);
+            }
+        }
+    }
+
+    live.region = document.createElement('div');
+    live.region.className = 'badge-live sr-only';
+    live.region.setAttribute('role', 'status');
+    live.region.setAttribute('aria-live', 'polite');
+    live.region.setAttribute('aria-atomic', 'true');
+
+    badgeList.id = `badgeeditable-${instanceKey}-badges`;
+    badgeList.className = 'badge-list sr-only';
+    badgeList.setAttribute('role', 'listbox');
+    element.setAttribute('aria-controls', badgeList.id);
+
+    if (!internals) {
+        const proxy = formState.proxy = document.createElement('input');
+        proxy.className = 'badge-validity';
+        proxy.tabIndex = -1;
+        proxy.setAttribute('aria-hidden', 'true');
+        Object.assign(proxy.style, {
+            position: 'absolute',
+            width: '1px',
+            height: '1px',
+            opacity: '0',
+            pointerEvents: 'none',
         });
-        return textContent;
+        proxy.addEventListener('focus', function focus() {
+            element.focus();
+        });
+
+        formState.observer = new MutationObserver(updateDisabled);
+    }
+    Object.defineProperties(this, {
+        connectedCallback: {value: connectedCallback},
+        disconnectedCallback: {value: disconnectedCallback},
+        formDisabledCallback: {value: formDisabledCallback},
+    });
+    if (required) {
+        element.setAttribute('aria-required', 'true');
+    }
+
+    /**
+     * Adds an event listener that is removed when this control is destroyed.
+     *
+     * @param {EventTarget} target - of the listener
+     * @param {String} type - of the event
+     * @param {Function} listener - called with the event
+     * @inner
+     * @private
+     */
+    function listen(target, type, listener) {
+        target.addEventListener(type, listener);
+        listeners.push([target, type, listener]);
+    }
+
+    listen(element, 'focus', function focus(event) {
+        const selection = window.getSelection();
+        const anchorElement = selection.anchorNode;
+        if (anchorElement !== getBadgeElement(anchorElement)) {
+            // TODO: place cursor at the end of the last invalid badge,
+            // otherwise create a new badge
+            if (element.childElementCount === 0) {
+                element.appendChild(makeChild());
+            }
+            activateBadge(element.lastElementChild, 0);
+        } else {
+            // anchorNode is not always correct at this point
+            setTimeout(() => {
+                const badge = getBadgeElement(selection.anchorNode);
+                if (badge && !destroyed) {
+                    activateBadge(badge);
+                }
+            }, 2);
+        }
+        fire('focus', event);
+    });
+    listen(element, 'keydown', function keydown(e) {
+        if (composing || e.isComposing) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && (key === 'z' || key === 'y')) {
+            e.preventDefault();
+            e.stopPropagation();
+            if (!isEditable()) {
+                return;
+            } else if (key === 'y' || e.shiftKey) {
+                redo();
+            } else {
+                undo();
+            }
+            return;
+        }
+
+        if (!isEditable()) {
+            if (e.key === 'Backspace' || e.key === 'Delete' || e.key === 'Enter'
+                || (e.key.length === 1 && !e.ctrlKey && !e.metaKey)) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            return;
+        }
+
+        if (reorderable && e.altKey && !e.ctrlKey && !e.metaKey && !e.shiftKey
+            && (e.key === 'ArrowLeft' || e.key === 'ArrowRight')
+            && activeNode && badgeMap.has(Number(activeNode.dataset.badgeKey))) {
+            e.preventDefault();
+            e.stopPropagation();
+            const node = activeNode;
+            const index = getBadgeIndex(node) + (e.key === 'ArrowLeft' ? -1 : 1);
+            if (index >= 0) {
+                transaction(() => moveBadge(node, index));
+            }
+            return;
+        }
+
+        if (navigateSuggestions(e) || navigate(e)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    });
+    listen(element, 'beforeinput', function beforeinput(e) {
+        if (!isEditable()) {
+            e.preventDefault();
+            e.stopPropagation();
+            return;
+        }
+        if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+            e.preventDefault();
+            e.stopPropagation();
+            if (e.inputType === 'historyUndo') {
+                undo();
+            } else {
+                redo();
+            }
+            return;
+        }
+        if (composing || e.isComposing || e.inputType === 'insertCompositionText') {
+            return;
+        }
+
+        const ranges = typeof e.getTargetRanges === 'function'
+            ? e.getTargetRanges() : [];
+        const range = ranges[0];
+        const badgeRange = getBadgeRange(range);
+
+        let input = e.data;
+        if (input === null && e.dataTransfer) {
+            input = e.dataTransfer.getData('text/plain');
+        }
+
+        if (isMultiBadgeRange(badgeRange)
+            && (input || e.inputType.startsWith('delete'))) {
+            e.preventDefault();
+            e.stopPropagation();
+            transaction(() => {
+                deleteRange(badgeRange);
+                if (input) {
+                    insertText(activeNode, input);
+                }
+            });
+            return;
+        }
+        if (atomic && (e.inputType === 'deleteContentBackward'
+            || e.inputType === 'deleteContentForward')) {
+            // as with Backspace and Delete, for keyboards that send no keydown
+            const key = e.inputType === 'deleteContentForward' ? 'Delete' : 'Backspace';
+            if (navigate({key})) {
+                e.preventDefault();
+                e.stopPropagation();
+            }
+            return;
+        }
+        if (!input) {
+            return;
+        }
+
+        const badge = getBadgeElement(
+            range ? range.startContainer : window.getSelection().anchorNode);
+
+        if (!badge || isEditing(badge)) {
+            return;
+        }
+
+        if (isAtomic(badge) || interceptInput(badge, input, range)) {
+            e.preventDefault();
+            e.stopPropagation();
+        }
+    });
+    listen(element, 'input', function input(e) {
+        if (composing || e.isComposing || !isEditable()) {
+            return;
+        }
+
+        const badge = getBadgeElement(window.getSelection().anchorNode);
+        if (badge && !isEditing(badge)) {
+            transaction(() => parseBadge(badge), true);
+        }
+    });
+    listen(element, 'compositionstart', function compositionstart() {
+        composing = true;
+    });
+    listen(element, 'compositionend', function compositionend() {
+        composing = false;
+        if (!isEditable()) {
+            // the composition could not be prevented, so undo it
+            if (history[historyIndex]) {
+                restore(history[historyIndex]);
+            }
+            return;
+        }
+
+        const badge = getBadgeElement(window.getSelection().anchorNode);
+        if (badge && !isEditing(badge)) {
+            parseBadge(badge);
+        }
+    });
+    listen(element, 'paste', function paste(e) {
+        e.preventDefault();
+        e.stopPropagation();
+        if (!isEditable()) {
+            return;
+        }
+
+        const input = e.clipboardData.getData('text/plain');
+        const selection = window.getSelection();
+        const range = getBadgeRange();
+        if (input && isMultiBadgeRange(range)) {
+            transaction(() => {
+                deleteRange(range);
+                insertText(activeNode, input);
+            });
+            return;
+        }
+        let badge = getBadgeElement(selection.anchorNode) || activeNode;
+
+        if (!input) {
+            return;
+        }
+        if (!badge) {
+            if (element.childElementCount === 0) {
+                element.appendChild(makeChild());
+            }
+            badge = element.lastElementChild;
+            setCaret(badge, getBadgeText(badge).length);
+        }
+
+        insertText(badge, input);
+    });
+    listen(element, 'copy', function copy(e) {
+        const range = getBadgeRange();
+        if (range && !window.getSelection().isCollapsed) {
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', getRangeText(range));
+        }
+    });
+    listen(element, 'cut', function cut(e) {
+        if (!isEditable()) {
+            e.preventDefault();
+            return;
+        }
+        const range = getBadgeRange();
+        if (range && !window.getSelection().isCollapsed) {
+            e.preventDefault();
+            e.clipboardData.setData('text/plain', getRangeText(range));
+            deleteRange(range);
+        }
+    });
+    listen(element, 'mousedown', function mousedown(e) {
+        if (e.target.closest && e.target.closest('.badge-action')) {
+            // keep the focus (and the caret) where it is
+            e.preventDefault();
+        }
+    });
+    listen(element, 'click', function click(e) {
+        const button = e.target.closest && e.target.closest('.badge-action');
+        if (button) {
+            e.preventDefault();
+            e.stopPropagation();
+            performAction(button);
+            return;
+        }
+        const badge = getBadgeElement(window.getSelection().anchorNode);
+        if (badge && badge.parentNode === element) {
+            transaction(() => activateBadge(badge), true);
+        }
+    });
+    listen(element, 'dblclick', function dblclick(e) {
+        const badge = getBadgeElement(e.target);
+        if (badge && badge.parentNode === element && isAtomic(badge) && isEditable()) {
+            e.preventDefault();
+            transaction(() => openEditor(badge), true);
+        }
+    });
+    listen(element, 'dragstart', function dragstart(e) {
+        const node = getBadgeElement(e.target);
+        if (!reorderable || !isEditable() || !node
+            || !badgeMap.has(Number(node.dataset.badgeKey))) {
+            return;
+        }
+        drag.node = node;
+        node.classList.add('badge-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', getSourceText(node));
+    });
+    listen(element, 'dragover', function dragover(e) {
+        if (!drag.node) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        showDropIndicator(getDropSpacer(e));
+    });
+    listen(element, 'dragleave', function dragleave(e) {
+        if (drag.node && !element.contains(e.relatedTarget)) {
+            showDropIndicator();
+        }
+    });
+    listen(element, 'drop', function drop(e) {
+        if (!drag.node) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+        const spacer = getDropSpacer(e) || drag.indicator;
+        const node = drag.node;
+        if (spacer) {
+            const index = getDropIndex(spacer);
+            transaction(() => moveBadge(node, index));
+        }
+        endDrag();
+    });
+    listen(element, 'dragend', function dragend() {
+        endDrag();
+    });
+    listen(element, 'keyup', function keyup(e) {
+        if (composing || e.isComposing) {
+            return;
+        }
+
+        const selection = window.getSelection();
+        const badge = getBadgeElement(selection.anchorNode);
+        if (badge) {
+            transaction(() => {
+                activateBadge(badge);
+                if (validateBadge(badge)) {
+                    enableBadge(badge);
+                }
+            }, true);
+        }
+    });
+    listen(element, 'blur', function keyup(event) {
+        if (editing) {
+            transaction(() => closeEditor(true));
+        }
+        if (activeNode) {
+            transaction(() => deactivateBadge(activeNode), true);
+        }
+        closeSuggestions();
+        suggestions.node = null;
+        fire('blur', event);
+    });
+
+    formState.defaultValue = this.value;
+    connectedCallback();
+    updatePlaceholder();
+    record();
+}
+
+BadgeEditable.version = version;
+
+BadgeEditable.EnglishAnnouncer = EnglishAnnouncer;
+
+/**
+ * The error of a badge whose {@link Validator} returns `false` rather than a
+ * reason.
+ *
+ * @type {String}
+ */
+BadgeEditable.invalidMessage = 'Invalid value';
+
+/**
+ * The parsers that may be named by the parser attribute of a
+ * {@link BadgeEditableElement}.
+ *
+ * @type {Object.<String, Object>}
+ */
+BadgeEditable.parsers = {
+    comma: { parse: CommaSeparatedParser, separator: ',' },
+    delimited: { parse: DelimiterParser({delimiters: [',', ';']}), separator: ', ' },
+    words: { parse: DelimiterParser({delimiters: [], whitespace: true}), separator: ' ' },
+    csv: { parse: CSVParser(), separator: ', ' },
+    recipients: { parse: RecipientParser(), separator: '; ' },
+    filters: { parse: FilterParser(), separator: ' ' },
+};
+
+/**
+ * The sentinal generators that may be named by the sentinal of the data
+ * objects given to {@link BadgeEditable#fromJSON}; likewise the name of a
+ * generator replaces it in {@link BadgeEditable#toJSON}.
+ *
+ * @example
+ * BadgeEditable.sentinals.remove = () => {
+ *     const button = document.createElement('button');
+ *     button.className = 'close';
+ *     return button;
+ * };
+ *
+ * @type {Object.<String, SentinalGenerator>}
+ */
+BadgeEditable.sentinals = {};
+
+BadgeEditable.CommaSeparatedParser = CommaSeparatedParser;
+BadgeEditable.DelimiterParser = DelimiterParser;
+BadgeEditable.CSVParser = CSVParser;
+BadgeEditable.RecipientParser = RecipientParser;
+BadgeEditable.FilterParser = FilterParser;
+BadgeEditable.fromGrammar = fromGrammar;
+
+BadgeEditable.onLoad = () => {
+    document.querySelectorAll('[badgeeditable]').forEach(element => {
+        new BadgeEditable(element);
+    });
+};
+
+/**
+ * The state of every {@link BadgeEditableElement}.
+ *
+ * @type {WeakMap.<BadgeEditableElement, Object>}
+ * @private
+ */
+const elementStates = new WeakMap();
+
+/**
+ * Maps the attributes of a {@link BadgeEditableElement} to the options and
+ * properties of its {@link BadgeEditable}.
+ *
+ * @type {Object.<String, Function>}
+ * @private
+ */
+const elementAttributes = {
+    'valid-label': value => ['validLabel', value || 'primary'],
+    'parser': value => ['parser', BadgeEditable.parsers[value || 'comma']
+        || BadgeEditable.parsers.comma],
+    'name': value => ['name', value],
+    'placeholder': value => ['placeholder', value],
+    'disabled': value => ['disabled', value !== null],
+    'readonly': value => ['readOnly', value !== null],
+    'reorderable': value => ['reorderable', value !== null],
+    'removable': value => ['removable', value !== null],
+    'label': value => ['label', value],
+    'max-badges': value => ['maxBadges', value === null ? Infinity : Number(value)],
+    'maxlength': value => ['maxLength', value === null ? Infinity : Number(value)],
+};
+
+/**
+ * The flags of a ValidityState, other than `valid`.
+ *
+ * @type {Array.<String>}
+ * @private
+ */
+const validityFlags = [
+    'badInput',
+    'customError',
+    'patternMismatch',
+    'rangeOverflow',
+    'rangeUnderflow',
+    'stepMismatch',
+    'tooLong',
+    'tooShort',
+    'typeMismatch',
+    'valueMissing',
+];
+
+/**
+ * A form-associated custom element, `<badge-editable>`, built around a {@link
+ * BadgeEditable} control.  Its attributes (`valid-label`, `parser`, `name`,
+ * `placeholder`, `disabled`, `readonly`, `reorderable`, `removable`, `label`,
+ * `max-badges` and `maxlength`) are mapped to the options of the control,
+ * where `parser` names one of {@link BadgeEditable.parsers}.  A `change` DOM
+ * event is dispatched for every batch of change events, its `detail` is the
+ * array of {@link ChangeEvent} objects, and a `limit` DOM event is
+ * dispatched, with a {@link LimitEvent} as its `detail`, whenever input is
+ * blocked by a limit.
+ *
+ * The element is defined by {@link BadgeEditable.define}.
+ *
+ * @example
+ * <badge-editable name="tags" parser="comma" placeholder="Tags"></badge-editable>
+ */
+class BadgeEditableElement extends (typeof HTMLElement === 'undefined' ? Object : HTMLElement) {
+    static get observedAttributes() {
+        return Object.keys(elementAttributes);
     }
-    function textContentSetter(textContent) {
-        const allItems = parser.parse(textContent);
-        const items = allItems.filter(d => d !== undefined);
-        this.value = items;
+
+    static get formAssociated() {
+        return true;
     }
 
-    Object.defineProperties(this, {
-        length: {get: length},
-        isActive: {get: isActive},
-        forEach: {value: forEach},
-        value: {
-            get: value,
-            set: valueSetter
-        },
-        textContent: {
-            get: textContent,
-            set: textContentSetter
-        },
-    });
+    constructor() {
+        super();
+        elementStates.set(this, {
+            editor: null,
+            internals: typeof this.attachInternals === 'function'
+                ? this.attachInternals() : null,
+            value: null,
+            customError: '',
+        });
+    }
 
     /**
-     * Manufactures a new DOM element for a badge.  This is called when
-     * inserting a badge or when a new insertion point is required in the
-     * control.
+     * The {@link BadgeEditable} control of this element, created when this
+     * element is first connected to a document.
      *
-     * To ensure that the DOM element interacts with the keyboard correctly the
-     * last element inside the returned element is a HTMLBRElement.
+     * @member {BadgeEditable}
+     */
+    get badgeEditable() {
+        return elementStates.get(this).editor;
+    }
+
+    /**
+     * The badges of this element.
      *
-     * @returns {HTMLElement} Element of the badge.
-     * @param {String} [content=null] - the text content of an existing badge,
-     *     otherwise the returned node will be ready for user input
-     * @inner
-     * @private
+     * @member {Array.<BadgeUserData>}
      */
-    function makeChild(content=null) {
-        const child = document.createElement('span');
-        child.dataset.badgeKey = String(++badgeKeySequence);
-        child.classList.add('badge');
-        if (content) {
-            if ('string' === typeof content) {
-                content = document.createTextNode(content);
-            }
-            child.appendChild(content);
+    get value() {
+        const state = elementStates.get(this);
+        return state.editor ? state.editor.value : state.value || [];
+    }
+    set value(value) {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.value = value;
         } else {
-            child.classList.add('badge-empty');
+            state.value = value;
         }
-        content = makeSentinal();
-        child.appendChild(content);
-        return child;
     }
 
     /**
-     * To ensure that the DOM element interacts with the keyboard correctly this
-     * function appends a sentinal element to the specified node.  If the
-     * specified data object has a sentinal element then that is used.  If the
-     * sentinal on the data object is a SentinalGenerator then it is used to
-     * generate a node.  Regardless of how the sentinal is obtained, it is
-     * assigned to the specified data object.
+     * The source text of the badges of this element; setting it parses the
+     * text into badges.
      *
-     * @param {Node} node - the node to which the sentinal is to be appended
-     * @param {BadgeData} data - the data of the badge
-     * @returns {Node} The appended sentinal node.
-     * @inner
-     * @private
+     * @member {String}
      */
-    function addSentinal(node, data) {
-        const value = data.value;
-        const sentinal = value.sentinal
-            ? typeof value.sentinal === 'function'
-            ? value.sentinal() : value.sentinal : makeSentinal();
-        node.appendChild(sentinal);
-        data.sentinal = sentinal;
-        return sentinal;
+    get textContent() {
+        const state = elementStates.get(this);
+        return state.editor ? state.editor.textContent : super.textContent;
+    }
+    set textContent(textContent) {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.textContent = textContent;
+        } else {
+            super.textContent = textContent;
+        }
+    }
+
+    get form() {
+        const state = elementStates.get(this);
+        return state.internals ? state.internals.form : this.closest('form');
     }
 
     /**
-     * Updates a badge's DOM element and data.
+     * The validity state of this element, which, before the element has a
+     * control, only reflects its custom error.
      *
-     * @param {Node} node - of the badge
-     * @param {BadgeData} data object of the badge
-     * @fires BadgeEditable#change
+     * @member {ValidityState}
      */
-    function updateBadge(node, data=undefined) {
-        const badgeKey = Number(node.dataset.badgeKey);
-        if (data !== undefined) {
-            const e = {
-                type: 'add',
-                node,
-                value: data.value,
-            };
-            if (badgeMap.has(badgeKey)) {
-                e.previousValue = badgeMap.get(badgeKey).value;
-                e.type = 'change';
-            }
-            badgeMap.set(badgeKey, data);
-            node.classList.remove('badge-invalid');
-            node.classList.add(`badge-${validLabel}`);
-            if (emit) emit([e]);
-        } else {
-            node.classList.remove(`badge-${validLabel}`);
-            node.classList.add('badge-invalid');
-            if (badgeMap.has(badgeKey)) {
-                const previousValue = badgeMap.get(badgeKey).value;
-                badgeMap.delete(badgeKey);
-                if (emit) emit([{
-                    type: 'delete',
-                    node,
-                    previousValue,
-                }]);
-            }
+    get validity() {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            return state.editor.validity;
         }
+        const customError = state.customError !== '';
+        return Object.freeze(Object.assign(
+            Object.fromEntries(validityFlags.map(flag => [flag, false])),
+            {customError, valid: !customError}));
     }
 
-    function activateBadge(node, collapse=undefined) {
-        if (node === activeNode) {
-            return false;
-        }
-        if (activeNode) {
-            deactivateBadge(activeNode);
-        }
-        if (collapse !== undefined) {
-            // FIXME: This assumes there is one text node as the first child
-            window.getSelection().collapse(node.firstChild, collapse);
-        }
-        node.classList.add('badge-active');
-        activeNode = node;
-        return true;
+    get validationMessage() {
+        const state = elementStates.get(this);
+        return state.editor ? state.editor.validationMessage : state.customError;
     }
 
-    function deactivateBadge(node, data=undefined) {
-        node.classList.remove('badge-active');
-        if (node === activeNode) {
-            activeNode = null;
+    checkValidity() {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            return state.editor.checkValidity();
         }
-        if (validateBadge(node, data)) {
-            return enableBadge(node, data);
+        if (state.customError === '') {
+            return true;
         }
-        return null;
+        this.dispatchEvent(new Event('invalid', {cancelable: true}));
+        return false;
     }
 
-    function validateBadge(node, data=undefined) {
-        if (data === undefined) {
-            const badgeKey = Number(node.dataset.badgeKey);
-            if (badgeMap.has(badgeKey)) {
-                data = badgeMap.get(badgeKey);
-            }
-            const textContent = node.textContent;
-            if (textContent.trim() === '') {
-                node.classList.add('badge-empty');
-                if (data !== undefined) {
-                    updateBadge(node);
-                }
-            } else {
-                node.classList.remove('badge-empty');
-                if (data === undefined || data.textContent !== textContent) {
-                    try {
-                        let items = parser.parse(textContent);
-                        if (items.length !== 1) {
-                            throw new Error('Illegal argument: node does not contain a single item');
-                        }
-                        updateBadge(node, {value: items[0], textContent});
-                        return true;
-                    } catch {
-                        if (data !== undefined) {
-                            updateBadge(node);
-                        }
-                    }
-                }
-            }
-            return false;
-        } else if (data.textContent.trim() === '') {
-            node.classList.add('badge-empty');
-            return false;
-        } else {
-            node.classList.remove('badge-empty');
-        }
-        return true;
+    reportValidity() {
+        const state = elementStates.get(this);
+        return state.editor ? state.editor.reportValidity() : this.checkValidity();
     }
 
-    function enableBadge(node, data=undefined) {
-        let [before, after] = [makeChild(), makeChild()];
-        if (!hasEmptyBadgeBefore(node)) {
-            node.insertAdjacentElement('beforebegin', before);
-        }
-        if (!hasEmptyBadgeAfter(node)) {
-            node.insertAdjacentElement('afterend', after);
+    setCustomValidity(message) {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.setCustomValidity(message);
         } else {
-            after = node.nextElementSibling;
-        }
-        const badgeKey = Number(node.dataset.badgeKey);
-        const lastChild = node.lastElementChild;
-        if (!lastChild) {
-            if (!data) {
-                data = badgeMap.has(badgeKey)
-                    ? badgeMap.get(badgeKey) : {value:{}, textContent: ''};
-            }
-            addSentinal(node, data);
-        } else if(data || badgeMap.has(badgeKey)) {
-            if (!data) {
-                data = badgeMap.has(badgeKey)
-                    ? badgeMap.get(badgeKey) : {value:{}, textContent: ''};
-            }
-            if (data.sentinal !== data.value.sentinal) {
-                node.removeChild(lastChild);
-                addSentinal(node, data);
-            }
+            state.customError = String(message);
         }
-        return after;
     }
 
-    element.addEventListener('focus', function focus() {
-        const selection = window.getSelection();
-        const anchorElement = selection.anchorNode;
-        if (anchorElement !== getBadgeElement(anchorElement)) {
-            // TODO: place cursor at the end of the last invalid badge,
-            // otherwise create a new badge
-            if (element.childElementCount === 0) {
-                element.appendChild(makeChild());
-            }
-            activateBadge(element.lastElementChild, 0);
-        } else {
-            // anchorNode is not always correct at this point
-            setTimeout(() => activateBadge(getBadgeElement(selection.anchorNode)), 2);
-        }
-    });
-    element.addEventListener('keydown', function keydown(e) {
-        if (e.key.length !== 1) {
+    connectedCallback() {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.connectedCallback();
             return;
         }
 
-        const selection = window.getSelection();
-        let badge = getBadgeElement(selection.anchorNode);
-
-        if (!badge) {
-            return;
+        const options = {
+            internals: state.internals,
+            onChange: changes => {
+                this.dispatchEvent(new CustomEvent('change', {
+                    bubbles: true,
+                    detail: changes,
+                }));
+            },
+            onLimit: limit => {
+                this.dispatchEvent(new CustomEvent('limit', {
+                    bubbles: true,
+                    detail: limit,
+                }));
+            },
+        };
+        for (const [attribute, map] of Object.entries(elementAttributes)) {
+            const [option, value] = map(this.getAttribute(attribute));
+            options[option] = value;
         }
+        const {disabled, ...rest} = options;
+        const text = super.textContent;
+        super.textContent = '';
 
-        const scratch = badge.cloneNode(true);
-        const i = Array.from(badge.childNodes).findIndex(n => n===selection.anchorNode);
-        const anchorNode = scratch.childNodes[i] || scratch;
-        const focusOffset = selection.focusOffset;
-        // FIXME: This assumes selection.focusNode===selection.anchorNode
-        const textContent = Array.from(anchorNode.textContent);
-        textContent.splice(
-            selection.anchorOffset,
-            selection.focusOffset - selection.anchorOffset,
-            e.key
-        );
-        anchorNode.textContent = textContent.join('');
-        try {
-            const text = scratch.textContent;
-            const allItems = parser.parse(text);
-            const items = allItems.filter((d, i) => d !== undefined || i === allItems.length - 1);
-            badge.classList.remove('badge-invalid');
-
-            if (items.length > 1) {
-                e.preventDefault();
-                e.stopPropagation();
+        state.editor = new BadgeEditable(this, rest);
+        state.editor.disabled = disabled;
+        if (state.customError) {
+            state.editor.setCustomValidity(state.customError);
+        }
+        if (state.value) {
+            state.editor.value = state.value;
+            state.value = null;
+        } else if (text) {
+            state.editor.textContent = text;
+        }
+        state.editor.defaultValue = state.editor.value;
+    }
 
-                // FIXME: This assumes items.length===2
-                let data = {
-                    value: items[0],
-                    textContent: badge.textContent,
-                    rawText: text,
-                };
-                let activate = () => {
-                    if (activeNode) {
-                        const newChild = deactivateBadge(activeNode, data);
-                        activateBadge(newChild, 0);
-                    }
-                };
-                if (items[1] !== undefined) {
-                    // FIXME: This assumes badge contains one text node
-                    let loc = data.value.location;
-                    let offset = focusOffset;
-                    if (loc && loc.end && 'offset' in loc.end) {
-                        if (offset <= loc.end.offset) {
-                            const collapse = offset + 1;
-                            const currentBadge = badge;
-                            activate = () => {
-                                deactivateBadge(badge, data);
-                                activateBadge(currentBadge, collapse);
-                            };
-                        }
-                        offset = loc.end.offset;
-                    }
-                    const newText = badge.removeChild(badge.firstChild.splitText(offset));
-                    if (data.value.text) {
-                        badge.textContent = data.textContent = data.value.text;
-                    } else {
-                        badge.textContent = data.textContent = text.substring(0, offset);
-                    }
-                    loc = items[1].location;
-                    if (loc && loc.start && 'offset' in loc.start) {
-                        data.rawText = text.substring(0, loc.start.offset);
-                    }
-                    updateBadge(badge, data);
-                    const newChild = deactivateBadge(badge, data);
-                    // newChild.firstChild is always the sentinal
-                    newChild.insertBefore(newText, newChild.firstChild);
-                    badge = newChild;
-                    data = {
-                        value: items[1],
-                        textContent: badge.textContent,
-                    };
-                    enableBadge(badge, data);
-                    if (loc && loc.start && 'offset' in loc.start) {
-                        data.rawText = text.substring(loc.start.offset);
-                        if (loc && loc.end && 'offset' in loc.end) {
-                            if (loc.start.offset <= focusOffset && focusOffset <= loc.end.offset) {
-                                const collapse = focusOffset + 1 - loc.start.offset;
-                                const currentBadge = badge;
-                                activate = () => {
-                                    activateBadge(currentBadge, collapse);
-                                };
-                            }
-                        }
-                    }
-                }
-                if (data.value.text) {
-                    badge.textContent = data.textContent = data.value.text;
-                }
-                updateBadge(badge, data);
-                activate();
+    disconnectedCallback() {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.disconnectedCallback();
+        }
+    }
 
-                return false;
-            } else if (items.length !== allItems.length) {
-                e.preventDefault();
-                e.stopPropagation();
+    attributeChangedCallback(attribute, oldValue, newValue) {
+        const state = elementStates.get(this);
+        if (state.editor && oldValue !== newValue) {
+            const [property, value] = elementAttributes[attribute](newValue);
+            if (property === 'parser') {
+                // keep the badges (and their keys) rather than parse them again
+                state.editor.setOptions({parser: value});
+            } else {
+                state.editor[property] = value;
             }
-        } catch {
-            updateBadge(badge);
-            // TODO: store error message someplace
         }
-    });
-    element.addEventListener('keyup', function keyup() {
-        const selection = window.getSelection();
-        const badge = getBadgeElement(selection.anchorNode);
-        if (badge) {
-            activateBadge(badge);
-            if (validateBadge(badge)) {
-                enableBadge(badge);
-            }
+    }
+
+    formDisabledCallback(disabled) {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.formDisabledCallback(disabled);
         }
-    });
-    element.addEventListener('blur', function keyup() {
-        if (activeNode) {
-            deactivateBadge(activeNode);
+    }
+
+    formResetCallback() {
+        const state = elementStates.get(this);
+        if (state.editor) {
+            state.editor.reset();
         }
-    });
+    }
 }
 
-BadgeEditable.version = version;
+BadgeEditable.Element = BadgeEditableElement;
 
-BadgeEditable.onLoad = () => {
-    document.querySelectorAll('[badgeeditable]').forEach(element => {
-        new BadgeEditable(element);
-    });
+/**
+ * Defines the `<badge-editable>` custom element, unless it is already
+ * defined.  Importing BadgeEditable defines no element, so that a page can
+ * choose the name of the element, and register any parsers that its
+ * elements name, before the elements are upgraded.
+ *
+ * @example
+ * BadgeEditable.define();
+ *
+ * @param {String} [name=badge-editable] - the name of the custom element
+ */
+BadgeEditable.define = (name = 'badge-editable') => {
+    if (typeof customElements !== 'undefined' && !customElements.get(name)) {
+        customElements.define(name, BadgeEditableElement);
+    }
 };
 
 export default BadgeEditable;
@@ -0,0 +1,542 @@
+/**
+ * Creates a [badge data]{@link BadgeUserData} object for the specified range
+ * of source text.
+ *
+ * @param {String} text - the text of the badge
+ * @param {Number} start - the offset into the source text of the badge
+ * @param {Number} end - the offset into the source text of the end of the
+ *     badge (exclusive)
+ * @param {Object} [fields] - additional properties of the data object
+ * @returns {BadgeUserData} The data object.
+ * @private
+ */
+function makeItem(text, start, end, fields = {}) {
+    return Object.assign({
+        text,
+        location: {
+            start: {offset: start},
+            end: {offset: end},
+        },
+    }, fields);
+}
+
+/**
+ * Narrows a range of source text to exclude leading and trailing whitespace.
+ *
+ * @param {String} source - the source text
+ * @param {Number} start - of the range
+ * @param {Number} end - of the range (exclusive)
+ * @returns {Array.<Number>} The start and end of the narrowed range.
+ * @private
+ */
+function trimRange(source, start, end) {
+    while (start < end && /\s/.test(source[start])) {
+        start++;
+    }
+    while (end > start && /\s/.test(source[end - 1])) {
+        end--;
+    }
+    return [start, end];
+}
+
+/**
+ * Splits source text into segments at delimiters, except where a delimiter is
+ * quoted or escaped.  The last segment is always present, even when it is
+ * empty, since it holds the text that is still being entered.
+ *
+ * @param {String} source - the text to be split
+ * @param {Function} delimiterAt - called with the source text and an offset,
+ *     returns the length of the delimiter at that offset, or 0
+ * @param {Object} [options]
+ * @param {Object.<String, String>} [options.quotes={}] - maps opening quote
+ *     characters to their closing characters
+ * @param {String} [options.escape] - escapes the character that follows it;
+ *     when it is the same as a closing quote, that quote is escaped by
+ *     doubling it
+ * @returns {Array.<Object>} The start and end offsets of each segment, the
+ *     last segment also has `quoted` set when it ends within a quote.
+ * @private
+ */
+function scan(source, delimiterAt, {quotes = {}, escape = null} = {}) {
+    const doubled = Object.values(quotes).includes(escape);
+    const segments = [];
+    let start = 0;
+    let close = null;
+    let i = 0;
+    while (i < source.length) {
+        const ch = source[i];
+        if (ch === escape && !doubled) {
+            i += 2;
+        } else if (close !== null) {
+            if (ch === close && escape === close && source[i + 1] === close) {
+                i++;
+            } else if (ch === close) {
+                close = null;
+            }
+            i++;
+        } else if (ch in quotes) {
+            close = quotes[ch];
+            i++;
+        } else {
+            const length = delimiterAt(source, i);
+            if (length > 0) {
+                segments.push({start, end: i});
+                i += length;
+                start = i;
+            } else {
+                i++;
+            }
+        }
+    }
+    segments.push({start, end: source.length, quoted: close !== null});
+    return segments;
+}
+
+/**
+ * Removes the quotes from, and resolves the escapes within, the specified
+ * text.
+ *
+ * @param {String} text - the quoted text
+ * @param {String} quote - the quote character
+ * @param {String} [escape] - the escape character
+ * @returns {String} The unquoted text.
+ * @private
+ */
+function unquote(text, quote, escape = quote) {
+    if (!text.startsWith(quote)) {
+        return text;
+    }
+    let value = '';
+    for (let i = 1; i < text.length; i++) {
+        const ch = text[i];
+        if (ch === escape && escape === quote && text[i + 1] === quote) {
+            value += quote;
+            i++;
+        } else if (ch === escape && escape !== quote && i + 1 < text.length) {
+            value += text[++i];
+        } else if (ch === quote) {
+            break;
+        } else {
+            value += ch;
+        }
+    }
+    return value;
+}
+
+/**
+ * Creates a {@link Parser} that splits source text at any of the specified
+ * delimiters.  Unlike {@link CommaSeparatedParser}, a delimiter at the start of
+ * the source text is recognised and the text of each item can be trimmed.
+ *
+ * @example
+ * DelimiterParser({delimiters: [',', ';']})("foo; bar")
+ * // => [
+ * //    {text: "foo", location: {start: {offset: 0}, end: {offset: 3}}},
+ * //    {text: "bar", location: {start: {offset: 5}, end: {offset: 8}}}
+ * // ]
+ * @function DelimiterParser
+ * @param {Object} [options]
+ * @param {Array.<String>} [options.delimiters=[',']] - the delimiters
+ * @param {Boolean} [options.whitespace=false] - when `true` any whitespace is
+ *     also a delimiter
+ * @param {Boolean} [options.newlines=true] - when `true` line breaks are also
+ *     delimiters
+ * @param {Boolean} [options.trim=true] - when `true` leading and trailing
+ *     whitespace is excluded from the text and location of each item
+ * @returns {Parser} The parser.
+ */
+export function DelimiterParser({
+    delimiters = [','],
+    whitespace = false,
+    newlines = true,
+    trim = true,
+} = {}) {
+    const sorted = delimiters.slice().sort((a, b) => b.length - a.length);
+    const delimiterAt = (source, i) => {
+        for (const delimiter of sorted) {
+            if (delimiter && source.startsWith(delimiter, i)) {
+                return delimiter.length;
+            }
+        }
+        if (newlines && (source[i] === '\n' || source[i] === '\r')) {
+            return 1;
+        }
+        if (whitespace && /\s/.test(source[i])) {
+            return 1;
+        }
+        return 0;
+    };
+    return function parseDelimited(source) {
+        return scan(source, delimiterAt).map(({start, end}) => {
+            if (trim) {
+                [start, end] = trimRange(source, start, end);
+            }
+            return makeItem(source.substring(start, end), start, end);
+        });
+    };
+}
+
+/**
+ * Creates a {@link Parser} for comma separated values, where a value may be
+ * quoted so that it can contain the delimiter.  Within quotes, a quote is
+ * escaped by doubling it (or by the escape character).  The text of each item
+ * is its source text, quotes included, so that the text parses to the same
+ * item; the unquoted text is the item's `value`.
+ *
+ * @example
+ * CSVParser()('"Doe, Jane", bob')
+ * // => [
+ * //    {
+ * //        text: '"Doe, Jane"',
+ * //        value: "Doe, Jane",
+ * //        location: {start: {offset: 0}, end: {offset: 11}}
+ * //    },
+ * //    {
+ * //        text: "bob",
+ * //        value: "bob",
+ * //        location: {start: {offset: 13}, end: {offset: 16}}
+ * //    }
+ * // ]
+ * @function CSVParser
+ * @param {Object} [options]
+ * @param {String} [options.delimiter=,] - separates the values
+ * @param {String} [options.quote="] - encloses values
+ * @param {String} [options.escape] - escapes the character that follows it,
+ *     defaults to the quote character
+ * @param {Boolean} [options.newlines=true] - when `true` line breaks also
+ *     separate values
+ * @returns {Parser} The parser.
+ */
+export function CSVParser({
+    delimiter = ',',
+    quote = '"',
+    escape = quote,
+    newlines = true,
+} = {}) {
+    const delimiterAt = (source, i) => {
+        if (source.startsWith(delimiter, i)) {
+            return delimiter.length;
+        }
+        if (newlines && (source[i] === '\n' || source[i] === '\r')) {
+            return 1;
+        }
+        return 0;
+    };
+    return function parseCSV(source) {
+        const segments = scan(source, delimiterAt, {
+            quotes: {[quote]: quote},
+            escape,
+        });
+        return segments.map(({start, end}) => {
+            [start, end] = trimRange(source, start, end);
+            const text = source.substring(start, end);
+            return makeItem(text, start, end, {
+                value: unquote(text, quote, escape),
+            });
+        });
+    };
+}
+
+/**
+ * Matches a recipient with a display name, e.g. `"Jane Doe" <jane@example.com>`.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const NAMED_RECIPIENT = /^(?:"((?:[^"\\]|\\.)*)"?|([^<]*?))\s*<([^>]*)>?$/;
+
+/**
+ * Matches a plausible email address.
+ *
+ * @type {RegExp}
+ * @private
+ */
+const EMAIL_ADDRESS = /^[^\s@<>",;]+@[^\s@<>",;]+\.[^\s@<>",;]+$/;
+
+/**
+ * Creates a {@link Parser} for email recipients, such as
+ * `"Doe, Jane" <jane@example.com>, bob@example.com`.  Recipients are separated
+ * by commas, semicolons or line breaks, except within quotes or angle
+ * brackets.  Each item has the recipient's `name` (if any) and `address`; its
+ * text is the recipient in a normalised form, which also replaces the
+ * recipient in the text content of a control.  An item whose address is not
+ * a plausible email address has an `error`.
+ *
+ * @example
+ * RecipientParser()('"Doe, Jane" <jane@example.com>')
+ * // => [
+ * //    {
+ * //        text: '"Doe, Jane" <jane@example.com>',
+ * //        name: "Doe, Jane",
+ * //        address: "jane@example.com",
+ * //        location: {start: {offset: 0}, end: {offset: 30}}
+ * //    }
+ * // ]
+ * @function RecipientParser
+ * @param {Object} [options]
+ * @param {Array.<String>} [options.delimiters=[',', ';']] - separate the
+ *     recipients, as do line breaks
+ * @param {String} [options.message=Invalid email address] - of the error of
+ *     an item with an implausible address
+ * @returns {Parser} The parser.
+ */
+export function RecipientParser({
+    delimiters = [',', ';'],
+    message = 'Invalid email address',
+} = {}) {
+    const delimiterAt = (source, i) => {
+        const ch = source[i];
+        return delimiters.includes(ch) || ch === '\n' || ch === '\r' ? 1 : 0;
+    };
+    return function parseRecipients(source) {
+        const segments = scan(source, delimiterAt, {
+            quotes: {'"': '"', '<': '>'},
+            escape: '\\',
+        });
+        return segments.map(({start, end}) => {
+            [start, end] = trimRange(source, start, end);
+            const recipient = source.substring(start, end);
+            const match = recipient.includes('<') && NAMED_RECIPIENT.exec(recipient);
+            let name = null;
+            let address = recipient;
+            let text = recipient;
+            if (match) {
+                name = match[1] !== undefined
+                    ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+                address = match[3].trim();
+                text = name
+                    ? `${/[",;<>@\\]/.test(name) ? JSON.stringify(name) : name} <${address}>`
+                    : address;
+            }
+            const item = makeItem(text, start, end, {name, address});
+            if (recipient && !EMAIL_ADDRESS.test(address)) {
+                item.error = message;
+            }
+            return item;
+        });
+    };
+}
+
+/**
+ * Creates a {@link Parser} for search filter tokens, such as
+ * `status:open label:"needs review" -author:bob`.  Tokens are separated by
+ * whitespace, except within quotes.  Each item has the token's `key` (`null`
+ * for a token without one), its unquoted `value` and whether it is `negated`
+ * by a leading `-`; its text is the source text of the token.
+ *
+ * @example
+ * FilterParser()('label:"needs review"')
+ * // => [
+ * //    {
+ * //        text: 'label:"needs review"',
+ * //        key: "label",
+ * //        value: "needs review",
+ * //        negated: false,
+ * //        location: {start: {offset: 0}, end: {offset: 20}}
+ * //    }
+ * // ]
+ * @function FilterParser
+ * @param {Object} [options]
+ * @param {String} [options.separator=:] - separates the key from the value
+ * @param {Array.<String>} [options.keys] - the recognised keys, a token with
+ *     any other key has an `error`
+ * @returns {Parser} The parser.
+ */
+export function FilterParser({
+    separator = ':',
+    keys = null,
+} = {}) {
+    const delimiterAt = (source, i) => /\s/.test(source[i]) ? 1 : 0;
+    return function parseFilters(source) {
+        const segments = scan(source, delimiterAt, {
+            quotes: {'"': '"', '\'': '\''},
+            escape: '\\',
+        });
+        return segments.map(({start, end}) => {
+            const text = source.substring(start, end);
+            let token = text;
+            const negated = token.startsWith('-') && token.length > 1;
+            if (negated) {
+                token = token.substring(1);
+            }
+            const index = token.startsWith('"') || token.startsWith('\'')
+                ? -1 : token.indexOf(separator);
+            const key = index > 0 ? token.substring(0, index) : null;
+            const value = index > 0
+                ? token.substring(index + separator.length) : token;
+            const item = makeItem(text, start, end, {
+                key,
+                value: unquote(unquote(value, '"', '\\'), '\'', '\\'),
+                negated,
+            });
+            if (key !== null && keys && !keys.includes(key)) {
+                item.error = `Unknown filter "${key}"`;
+            }
+            return item;
+        });
+    };
+}
+
+/**
+ * Collects the tokens within the result of a generated parser, in the order
+ * that they appear in the source text.  A token is any object with a
+ * `location`, i.e. the result of a grammar action that called `location()`;
+ * arrays are searched for tokens and anything else is ignored.
+ *
+ * @param {*} result - of the generated parser
+ * @param {Array.<Object>} [tokens=[]] - to which the tokens are appended
+ * @returns {Array.<Object>} The tokens.
+ * @private
+ */
+function collectTokens(result, tokens = []) {
+    if (Array.isArray(result)) {
+        result.forEach(value => collectTokens(value, tokens));
+    } else if (result && typeof result === 'object' && result.location) {
+        tokens.push(result);
+    }
+    return tokens;
+}
+
+/**
+ * Determines whether the specified error is a syntax error, from a generated
+ * parser, that occurred at the end of the source text, i.e. the text is
+ * incomplete rather than malformed.
+ *
+ * @param {*} error - thrown by the generated parser
+ * @param {Object} grammar - the generated parser
+ * @returns {Boolean} `true` if the error is due to partial input.
+ * @private
+ */
+function isPartialInput(error, grammar) {
+    const isSyntaxError = typeof grammar.SyntaxError === 'function'
+        ? error instanceof grammar.SyntaxError
+        : error instanceof Error && error.name === 'SyntaxError';
+    return isSyntaxError && error.found === null;
+}
+
+/**
+ * Parses the completed tokens of source text that is still being entered,
+ * i.e. the tokens that precede the partial token at which a generated parser
+ * failed.  The parser is asked for the tokens that it recognised before it
+ * stopped, with Peggy's `peg$library` option, otherwise the text before the
+ * location of the syntax error is parsed.  Either way the source text is
+ * parsed once more, rather than once for each of its prefixes.  The last
+ * token is taken to be part of the partial token when nothing separates
+ * them.
+ *
+ * @param {Object} grammar - the generated parser
+ * @param {String} source - the source text
+ * @param {Object} options - for the generated parser
+ * @param {Object} error - the syntax error of the source text
+ * @returns {Array.<Object>} The completed tokens.
+ * @private
+ */
+function parsePartialInput(grammar, source, options, error) {
+    let tokens = [];
+    let cut = 0;
+    try {
+        const result = grammar.parse(source, {...options, peg$library: true});
+        if (result.peg$result !== result.peg$FAILED) {
+            tokens = collectTokens(result.peg$result);
+            cut = result.peg$currPos;
+        }
+    } catch (e) {
+        const offset = error.location ? error.location.start.offset : 0;
+        if (offset > 0 && offset < source.length) {
+            try {
+                tokens = collectTokens(grammar.parse(source.substring(0, offset), options));
+                cut = offset;
+            } catch (e) {
+                tokens = [];
+            }
+        }
+    }
+    const last = tokens[tokens.length - 1];
+    if (last && last.location.end.offset === cut) {
+        tokens.pop();
+    }
+    return tokens;
+}
+
+/**
+ * Creates a {@link Parser} from a parser generated by
+ * [Peggy]{@link https://peggyjs.org/} or
+ * [PEG.js]{@link https://pegjs.org/}.  Every object within the result of the
+ * generated parser that has a `location`, as returned by the grammar's
+ * `location()` function, is an item; its text is the item's `text` or,
+ * failing that, its source text.  Any text that follows the last item (such
+ * as a separator) yields an `undefined` last item, so that the badge is split
+ * and a new badge is begun.
+ *
+ * When the generated parser fails at the end of the source text, the text is
+ * still being entered.  The tokens before the partial token are the
+ * completed items and, following the same convention, the partial token
+ * yields an `undefined` last item, so that its badge is neither valid nor
+ * invalid until it is complete.  Hence the grammar should accept a trailing
+ * separator, otherwise the last completed item is only recognised once more
+ * text is entered.  A syntax error elsewhere is thrown, as are any other
+ * errors.
+ *
+ * @example
+ * import * as grammar from './grammars/query.mjs';
+ *
+ * fromGrammar(grammar)('status:open label:"needs')
+ * // => [
+ * //    {
+ * //        type: "filter",
+ * //        field: "status",
+ * //        operator: "=",
+ * //        value: "open",
+ * //        negated: false,
+ * //        text: "status:open",
+ * //        location: {start: {offset: 0, ...}, end: {offset: 11, ...}}
+ * //    },
+ * //    undefined
+ * // ]
+ * @function fromGrammar
+ * @param {Object} grammar - the generated parser, i.e. an object with a
+ *     `parse` function and, optionally, its `SyntaxError` class
+ * @param {Object} [options]
+ * @param {String} [options.startRule] - the rule with which to begin parsing,
+ *     defaults to the grammar's first rule
+ * @param {Object} [options.parseOptions] - additional options for the
+ *     generated parser, such as `grammarSource`
+ * @param {Function} [options.map] - called with each token and the source
+ *     text, returns its [badge data]{@link BadgeUserData} object, or
+ *     `undefined` to ignore the token
+ * @returns {Parser} The parser.
+ */
+export function fromGrammar(grammar, {
+    startRule,
+    parseOptions = {},
+    map = (token, source) => Object.assign({}, token, {
+        text: typeof token.text === 'string' ? token.text : source.substring(
+            token.location.start.offset, token.location.end.offset),
+    }),
+} = {}) {
+    const options = startRule ? {...parseOptions, startRule} : parseOptions;
+    const toItems = (tokens, source) => tokens
+        .map(token => map(token, source))
+        .filter(item => item !== undefined)
+        .sort((a, b) => a.location.start.offset - b.location.start.offset);
+    return function parseGrammar(source) {
+        let error = null;
+        try {
+            const items = toItems(collectTokens(grammar.parse(source, options)), source);
+            const end = items.length ? items[items.length - 1].location.end.offset : 0;
+            if (items.length && end < source.length) {
+                items.push(undefined);
+            }
+            return items;
+        } catch (e) {
+            if (!isPartialInput(e, grammar)) {
+                throw e;
+            }
+            error = e;
+        }
+
+        const items = toItems(parsePartialInput(grammar, source, options, error), source);
+        items.push(undefined);
+        return items;
+    };
+}
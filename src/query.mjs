@@ -0,0 +1,21 @@
+import { fromGrammar } from './parsers.mjs';
+import * as QueryGrammar from './grammars/query.mjs';
+
+/**
+ * A {@link Parser} of the search query language of `grammars/query.pegjs`,
+ * an example of a parser made with {@link fromGrammar}.  It is a separate
+ * entry point, so that the generated grammar is not part of the core bundle;
+ * add it to {@link BadgeEditable.parsers} to name it by the parser attribute
+ * of a {@link BadgeEditableElement}.
+ *
+ * @example
+ * import BadgeEditable from 'badgeeditable';
+ * import { QueryParser } from 'badgeeditable/src/query.mjs';
+ *
+ * BadgeEditable.parsers.query = QueryParser;
+ *
+ * @type {Object}
+ */
+export const QueryParser = { parse: fromGrammar(QueryGrammar), separator: ' ' };
+
+export { QueryGrammar };
@@ -0,0 +1,128 @@
+import {
+    createElement,
+    forwardRef,
+    useImperativeHandle,
+    useLayoutEffect,
+    useRef,
+    useState,
+} from 'react';
+import BadgeEditable from './index.mjs';
+import { assignProperties } from './bindings.mjs';
+
+/**
+ * Called by {@link BadgeEditableInput} when the user changes its badges.
+ *
+ * @callback BadgeEditableInput~ChangeHandler
+ * @param {Array.<BadgeUserData>} value - the data objects of the valid
+ *     badges, with their keys
+ * @param {Array.<ChangeEvent>} changes - the batch of change events
+ */
+
+/**
+ * A React component of a {@link BadgeEditable} control.
+ *
+ * The badges are controlled by the `value` prop, if it is given, otherwise
+ * they begin with `defaultValue`.  A new `value` is
+ * [reconciled]{@link BadgeEditable#reconcile} with the badges of the control,
+ * so that a badge whose data object is unchanged keeps its key, its DOM
+ * element and the caret.  `onChange` is called with the new value when the
+ * user changes the badges, but not when they change because of the `value`
+ * prop.  Like a controlled input, a change that is not passed back in the
+ * `value` prop is undone after `onChange` is called.
+ *
+ * The `name`, `disabled`, `readOnly`, `reorderable`, `removable`,
+ * `maxBadges`, `maxLength`, `label`, `placeholder`, `validLabel` and
+ * `parser` props are assigned to the control whenever they change; the
+ * remaining props are given to the control as its options when it is
+ * constructed.  The ref of the component is the control.
+ *
+ * @example
+ * import { BadgeEditableInput } from 'badgeeditable/dist/react.mjs';
+ *
+ * function Tags() {
+ *     const [tags, setTags] = useState([{text: 'react'}]);
+ *     return createElement(BadgeEditableInput, {
+ *         value: tags,
+ *         onChange: setTags,
+ *         placeholder: 'Tags',
+ *     });
+ * }
+ *
+ * @param {Object} props
+ * @param {Array.<BadgeUserData>} [props.value] - the data objects of the
+ *     badges, when controlled
+ * @param {Array.<BadgeUserData>} [props.defaultValue] - the data objects of
+ *     the initial badges, when uncontrolled
+ * @param {BadgeEditableInput~ChangeHandler} [props.onChange] - called when
+ *     the user changes the badges
+ * @param {String} [props.className='form-control'] - of the control's
+ *     element
+ * @param {Object} [props.style] - of the control's element
+ * @param {Object} ref - receives the {@link BadgeEditable}
+ * @returns {ReactElement} The control's element.
+ */
+function BadgeEditableInput({
+    value,
+    defaultValue,
+    onChange,
+    className = 'form-control',
+    style,
+    ...options
+}, ref) {
+    const element = useRef(null);
+    const control = useRef(null);
+    const handler = useRef(onChange);
+    const reconciling = useRef(false);
+    // counts the changes made by the user, each of which renders again
+    const [revision, setRevision] = useState(0);
+    handler.current = onChange;
+
+    const silently = fn => {
+        reconciling.current = true;
+        try {
+            fn();
+        } finally {
+            reconciling.current = false;
+        }
+    };
+
+    useLayoutEffect(() => {
+        const instance = new BadgeEditable(element.current, Object.assign({}, options, {
+            onChange: changes => {
+                if (!reconciling.current && handler.current && control.current) {
+                    handler.current(control.current.value, changes);
+                    setRevision(n => n + 1);
+                }
+            },
+        }));
+        control.current = instance;
+        if (value === undefined && defaultValue !== undefined) {
+            silently(() => instance.reconcile(defaultValue));
+            instance.defaultValue = defaultValue;
+        }
+        return () => {
+            control.current = null;
+            instance.destroy();
+        };
+    }, []);
+
+    useImperativeHandle(ref, () => control.current, []);
+
+    useLayoutEffect(() => {
+        assignProperties(control.current, options);
+    });
+
+    useLayoutEffect(() => {
+        if (value !== undefined) {
+            silently(() => control.current.reconcile(value));
+        }
+    }, [value, revision]);
+
+    return createElement('div', {ref: element, className, style});
+}
+
+const ForwardedBadgeEditableInput = forwardRef(BadgeEditableInput);
+ForwardedBadgeEditableInput.displayName = 'BadgeEditableInput';
+
+export { ForwardedBadgeEditableInput as BadgeEditableInput, BadgeEditable };
+export default ForwardedBadgeEditableInput;
@@ -0,0 +1,119 @@
+import {
+    defineComponent,
+    h,
+    onBeforeUnmount,
+    onMounted,
+    ref,
+    shallowRef,
+    watch,
+} from 'vue';
+import BadgeEditable from './index.mjs';
+import { assignProperties, properties } from './bindings.mjs';
+
+/**
+ * A Vue component of a {@link BadgeEditable} control.
+ *
+ * The badges are controlled by `v-model`, i.e. the `modelValue` prop, if it
+ * is given, otherwise they begin with `defaultValue`.  A new `modelValue` is
+ * [reconciled]{@link BadgeEditable#reconcile} with the badges of the control,
+ * so that a badge whose data object is unchanged keeps its key, its DOM
+ * element and the caret.  When the user changes the badges the component
+ * emits `update:modelValue` with the new value and `change` with the new
+ * value and the batch of {@link ChangeEvent}s; neither is emitted when the
+ * badges change because of `modelValue`.
+ *
+ * The `name`, `disabled`, `readOnly`, `reorderable`, `removable`,
+ * `maxBadges`, `maxLength`, `label`, `placeholder`, `validLabel` and
+ * `parser` props are assigned to the control whenever they change; the
+ * `options` prop is given to the control when it is constructed.  The
+ * control is exposed as `control`.
+ *
+ * @example
+ * <script setup>
+ * import { ref } from 'vue';
+ * import { BadgeEditableInput } from 'badgeeditable/dist/vue.mjs';
+ * const tags = ref([{text: 'vue'}]);
+ * </script>
+ * <template>
+ *     <BadgeEditableInput v-model="tags" placeholder="Tags" />
+ * </template>
+ */
+export const BadgeEditableInput = defineComponent({
+    name: 'BadgeEditableInput',
+    props: {
+        modelValue: {type: Array, default: undefined},
+        defaultValue: {type: Array, default: undefined},
+        options: {type: Object, default: () => ({})},
+        name: {type: String, default: undefined},
+        disabled: {type: Boolean, default: undefined},
+        readOnly: {type: Boolean, default: undefined},
+        reorderable: {type: Boolean, default: undefined},
+        removable: {type: Boolean, default: undefined},
+        maxBadges: {type: Number, default: undefined},
+        maxLength: {type: Number, default: undefined},
+        label: {type: String, default: undefined},
+        placeholder: {type: String, default: undefined},
+        validLabel: {type: String, default: undefined},
+        parser: {type: Object, default: undefined},
+    },
+    emits: ['update:modelValue', 'change'],
+    setup(props, {emit, expose}) {
+        const element = ref(null);
+        const control = shallowRef(null);
+        let reconciling = false;
+
+        const silently = fn => {
+            reconciling = true;
+            try {
+                fn();
+            } finally {
+                reconciling = false;
+            }
+        };
+
+        onMounted(() => {
+            const instance = new BadgeEditable(element.value, Object.assign({}, props.options, {
+                onChange: changes => {
+                    if (!reconciling && control.value) {
+                        const value = control.value.value;
+                        emit('update:modelValue', value);
+                        emit('change', value, changes);
+                    }
+                },
+            }));
+            control.value = instance;
+            assignProperties(instance, props);
+            if (props.modelValue !== undefined) {
+                silently(() => instance.reconcile(props.modelValue));
+            } else if (props.defaultValue !== undefined) {
+                silently(() => instance.reconcile(props.defaultValue));
+                instance.defaultValue = props.defaultValue;
+            }
+        });
+
+        onBeforeUnmount(() => {
+            const instance = control.value;
+            control.value = null;
+            instance.destroy();
+        });
+
+        watch(() => props.modelValue, value => {
+            if (control.value && value !== undefined) {
+                silently(() => control.value.reconcile(value));
+            }
+        });
+
+        watch(() => properties.map(name => props[name]), () => {
+            if (control.value) {
+                assignProperties(control.value, props);
+            }
+        });
+
+        expose({control});
+
+        return () => h('div', {ref: element, class: 'form-control'});
+    },
+});
+
+export { BadgeEditable };
+export default BadgeEditableInput;
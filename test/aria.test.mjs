@@ -0,0 +1,61 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor } from './harness.mjs';
+
+const attributes = (node, names) => names.map(name => node.getAttribute(name));
+
+describe('accessibility', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor({
+            label: 'Tags',
+            parser: {
+                parse: text => editor.window.BadgeEditable.CommaSeparatedParser(text),
+                validate: value => value.text !== 'x',
+            },
+        });
+        editor.focus();
+        editor.type('foo,x,bar');
+    });
+    afterEach(() => editor.close());
+
+    it('labels the control', () => {
+        assert.deepEqual(attributes(editor.element, ['role', 'aria-label']), ['textbox', 'Tags']);
+    });
+
+    it('makes each badge an option, with its position and validity', () => {
+        const names = ['role', 'aria-posinset', 'aria-setsize', 'aria-invalid', 'aria-selected'];
+        assert.deepEqual(editor.badges().map(node => attributes(node, names)), [
+            ['option', '1', '3', null, 'false'],
+            ['option', '2', '3', 'true', 'false'],
+            ['option', '3', '3', null, 'true'],
+        ]);
+        for (const node of editor.element.querySelectorAll('.badge-empty')) {
+            assert.deepEqual(attributes(node, ['id', 'role', 'aria-selected']), [null, null, null]);
+        }
+    });
+
+    it('owns the badges with a labelled listbox that the control controls', () => {
+        const listbox = editor.document.getElementById(editor.element.getAttribute('aria-controls'));
+        assert.deepEqual(attributes(listbox, ['role', 'aria-label']), ['listbox', 'Tags']);
+        assert.deepEqual(listbox.getAttribute('aria-owns').split(' '),
+            editor.badges().map(node => node.id));
+        editor.type(',baz');
+        assert.deepEqual(listbox.getAttribute('aria-owns').split(' '),
+            editor.badges().map(node => node.id));
+        editor.control.destroy();
+        assert.equal(listbox.parentNode, null);
+    });
+
+    it('makes the active badge the active descendant', () => {
+        const [foo, , bar] = editor.badges();
+        assert.equal(editor.element.getAttribute('aria-activedescendant'), bar.id);
+        editor.placeCaret(1, 1);
+        assert.equal(editor.element.getAttribute('aria-activedescendant'), foo.id);
+        assert.equal(foo.getAttribute('aria-selected'), 'true');
+        assert.equal(bar.getAttribute('aria-selected'), 'false');
+        editor.placeCaret(2, 0);
+        assert.equal(editor.element.getAttribute('aria-activedescendant'), null);
+        assert.equal(foo.getAttribute('aria-selected'), 'false');
+    });
+});
@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor, spacerViolations } from './harness.mjs';
+
+const texts = values => Array.from(values, value => value.text);
+
+describe('atomic mode', () => {
+    let editor;
+    const dblclick = index => editor.element.children[index].dispatchEvent(
+        new editor.window.MouseEvent('dblclick', {bubbles: true, cancelable: true}));
+    const selected = () => editor.window.getSelection().toString();
+
+    beforeEach(() => {
+        editor = createEditor({atomic: true});
+        editor.focus();
+        editor.type('foo, bar,');
+        editor.changes.length = 0;
+    });
+    afterEach(() => editor.close());
+
+    it('lets a badge be typed until it is split', () => {
+        editor.type('baz');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', '', 'baz', '']);
+        assert.deepEqual(editor.caret(), [5, 3]);
+    });
+
+    it('selects a valid badge as a whole', () => {
+        editor.placeCaret(3, 2);
+        assert.equal(selected(), ' bar');
+        editor.type('x');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', '']);
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('moves the caret over a valid badge', () => {
+        editor.placeCaret(2, 0);
+        editor.press('ArrowRight');
+        assert.equal(selected(), ' bar');
+        editor.press('ArrowRight');
+        assert.deepEqual(editor.caret(), [4, 0]);
+        editor.press('ArrowLeft');
+        editor.press('ArrowLeft');
+        assert.deepEqual(editor.caret(), [2, 0]);
+    });
+
+    it('deletes a valid badge as a whole', () => {
+        editor.placeCaret(4, 0);
+        assert.ok(editor.press('Backspace'));
+        assert.equal(selected(), ' bar');
+        assert.ok(editor.press('Backspace'));
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        assert.deepEqual(editor.summary(), [['delete: bar']]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('deletes a valid badge as a whole without a keydown', () => {
+        const deleteInput = inputType => editor.element.dispatchEvent(new editor.window.InputEvent(
+            'beforeinput', {inputType, bubbles: true, cancelable: true}));
+        editor.placeCaret(4, 0);
+        assert.equal(deleteInput('deleteContentBackward'), false);
+        assert.equal(selected(), ' bar');
+        assert.equal(deleteInput('deleteContentBackward'), false);
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        editor.placeCaret(0, 0);
+        assert.equal(deleteInput('deleteContentForward'), false);
+        assert.equal(selected(), 'foo');
+        assert.equal(deleteInput('deleteContentForward'), false);
+        assert.deepEqual(editor.texts(), ['']);
+        assert.deepEqual(editor.summary(), [['delete: bar'], ['delete:foo']]);
+    });
+
+    it('does not merge an invalid badge into a valid badge', () => {
+        editor.control.setOptions({
+            parser: {
+                parse: editor.control.parser.parse,
+                validate: value => value.text !== 'x',
+            },
+        });
+        editor.placeCaret(4, 0);
+        editor.type('x');
+        editor.placeCaret(4, 0);
+        editor.press('Backspace');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', 'x']);
+        assert.equal(selected(), ' bar');
+    });
+
+    it('edits the source text of a badge and parses it once', () => {
+        dblclick(3);
+        const badge = editor.element.children[3];
+        assert.ok(badge.classList.contains('badge-editing'));
+        assert.deepEqual(editor.caret(), [3, 4]);
+        editor.type(',ba');
+        editor.press('Backspace');
+        editor.type('z');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar,bz', '']);
+        assert.deepEqual(editor.changes, []);
+        assert.ok(editor.press('Enter'));
+        assert.ok(!badge.classList.contains('badge-editing'));
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', '', 'bz', '']);
+        assert.deepEqual(editor.summary(), [['change: bar', 'add:bz']]);
+        assert.equal(editor.control.textContent, 'foo, bar,bz,');
+    });
+
+    it('activates the badge that it edits', () => {
+        dblclick(1);
+        const badge = editor.element.children[1];
+        assert.equal(editor.element.getAttribute('aria-activedescendant'), badge.id);
+        assert.equal(badge.getAttribute('aria-selected'), 'true');
+    });
+
+    it('opens the editor with Enter and commits it on blur', () => {
+        editor.placeCaret(1, 0);
+        assert.ok(editor.press('Enter'));
+        editor.type('d');
+        editor.element.blur();
+        assert.deepEqual(texts(editor.control.value), ['food', ' bar']);
+        assert.deepEqual(editor.summary(), [['change:food']]);
+        assert.equal(editor.control.textContent, 'food, bar,');
+    });
+
+    it('cancels the editor with Escape', () => {
+        dblclick(1);
+        editor.type('d,x');
+        assert.ok(editor.press('Escape'));
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', '']);
+        assert.equal(selected(), 'foo');
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('restores a badge whose source text is unchanged', () => {
+        editor.control.setOptions({renderBadge: (value, node) => node.prepend('#')});
+        dblclick(1);
+        assert.equal(editor.badges()[0].textContent, 'foo');
+        editor.press('Enter');
+        assert.equal(editor.badges()[0].textContent, '#foo');
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('is off by default and can be switched with setOptions', () => {
+        editor.control.setOptions({atomic: false});
+        editor.placeCaret(1, 1);
+        editor.type('x');
+        assert.deepEqual(editor.texts(), ['', 'fxoo', '', ' bar', '']);
+    });
+});
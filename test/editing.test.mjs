@@ -0,0 +1,273 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor, spacerViolations } from './harness.mjs';
+
+describe('typing', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.focus();
+    });
+    afterEach(() => editor.close());
+
+    it('begins with a single spacer', () => {
+        assert.deepEqual(editor.texts(), ['']);
+        assert.deepEqual(editor.caret(), [0, 0]);
+    });
+
+    it('turns the text that is typed into a badge', () => {
+        editor.type('foo');
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        assert.deepEqual(editor.caret(), [1, 3]);
+        assert.ok(editor.element.children[1].classList.contains('badge-primary'));
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('splits the badge at a comma and moves the caret to the next spacer', () => {
+        editor.type('foo,');
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        assert.deepEqual(editor.caret(), [2, 0]);
+        editor.type('bar,baz');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'bar', '', 'baz', '']);
+        assert.deepEqual(editor.caret(), [5, 3]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('splits a badge at a comma typed within it', () => {
+        editor.type('foobar');
+        editor.placeCaret(1, 3);
+        editor.type(',');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'bar', '']);
+        assert.deepEqual(editor.caret(), [3, 0]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('keeps the separators in the text content', () => {
+        editor.type('foo, bar,baz');
+        assert.equal(editor.control.textContent, 'foo, bar,baz');
+        assert.deepEqual(Array.from(editor.control.value, value => value.text),
+            ['foo', ' bar', 'baz']);
+    });
+});
+
+describe('read-only', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor({readOnly: true});
+        editor.control.textContent = 'foo';
+        editor.changes.length = 0;
+        editor.focus();
+    });
+    afterEach(() => editor.close());
+
+    it('ignores typing', () => {
+        editor.placeCaret(1, 3);
+        editor.type('x,y,');
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('undoes composed text', () => {
+        editor.placeCaret(1, 3);
+        editor.compose('x,y,');
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+        assert.deepEqual(editor.changes, []);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+});
+
+describe('deleting', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.focus();
+        editor.type('foo,bar,baz');
+    });
+    afterEach(() => editor.close());
+
+    it('deletes within a badge', () => {
+        editor.placeCaret(3, 2);
+        editor.press('Backspace');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'br', '', 'baz', '']);
+        assert.deepEqual(editor.caret(), [3, 1]);
+    });
+
+    it('merges a badge with the next one with Delete at its end', () => {
+        editor.placeCaret(3, 3);
+        assert.ok(editor.press('Delete'));
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'barbaz', '']);
+        assert.deepEqual(editor.caret(), [3, 3]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('merges a badge with the previous one with Backspace at its start', () => {
+        editor.placeCaret(3, 0);
+        assert.ok(editor.press('Backspace'));
+        assert.deepEqual(editor.texts(), ['', 'foobar', '', 'baz', '']);
+        assert.deepEqual(editor.caret(), [1, 3]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('does nothing with Backspace at the start of the first badge', () => {
+        editor.placeCaret(1, 0);
+        editor.press('Backspace');
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'bar', '', 'baz', '']);
+    });
+
+    it('deletes a selection across badges and joins the remaining text', () => {
+        editor.select(1, 1, 5, 1);
+        assert.ok(editor.press('Backspace'));
+        assert.deepEqual(editor.texts(), ['', 'faz', '']);
+        assert.deepEqual(editor.caret(), [1, 1]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+});
+
+describe('clipboard', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.focus();
+    });
+    afterEach(() => editor.close());
+
+    it('splits pasted text into badges', () => {
+        editor.paste('a,b,c');
+        assert.deepEqual(editor.texts(), ['', 'a', '', 'b', '', 'c', '']);
+        assert.deepEqual(editor.caret(), [5, 1]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('pastes into the middle of a badge', () => {
+        editor.type('foo');
+        editor.placeCaret(1, 1);
+        editor.paste('x,y');
+        assert.deepEqual(editor.texts(), ['', 'fx', '', 'yoo', '']);
+        assert.deepEqual(editor.caret(), [3, 1]);
+    });
+
+    it('copies the source text of a selection across badges', () => {
+        editor.type('foo, bar,baz');
+        editor.select(1, 1, 5, 2);
+        assert.equal(editor.copy(), 'oo, bar,ba');
+    });
+});
+
+describe('change events', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.focus();
+    });
+    afterEach(() => editor.close());
+
+    it('adds a badge, then changes it as it is typed', () => {
+        editor.type('ab');
+        assert.deepEqual(editor.summary(), [['add:a'], ['change:ab']]);
+        const [[add], [change]] = editor.changes;
+        const node = editor.element.children[1];
+        assert.equal(add.node, node);
+        assert.equal(change.node, node);
+        assert.equal(change.previousValue, add.value);
+        const {start, end} = add.value.location;
+        assert.deepEqual([start.offset, end.offset], [0, 1]);
+    });
+
+    it('batches the changes of a split', () => {
+        editor.type('foobar');
+        editor.changes.length = 0;
+        editor.placeCaret(1, 3);
+        editor.type(',');
+        assert.deepEqual(editor.summary(), [['change:foo', 'add:bar']]);
+        const [[change, add]] = editor.changes;
+        assert.equal(change.previousValue.text, 'foobar');
+        assert.equal(add.node, editor.element.children[3]);
+        assert.equal(add.previousValue, undefined);
+    });
+
+    it('deletes the badges of a deleted selection', () => {
+        editor.type('foo,bar,baz');
+        editor.changes.length = 0;
+        editor.select(1, 1, 5, 1);
+        editor.press('Backspace');
+        assert.deepEqual(editor.summary(), [['delete:bar', 'delete:baz', 'change:faz']]);
+        const [[deleteBar]] = editor.changes;
+        assert.equal(deleteBar.value, undefined);
+        assert.equal(deleteBar.node.parentNode, null);
+    });
+
+    it('reports the changes that are undone', () => {
+        editor.type('foo,');
+        editor.paste('x,y');
+        editor.changes.length = 0;
+        editor.press('z', {ctrlKey: true});
+        assert.deepEqual(editor.summary(), [['delete:x', 'delete:y']]);
+        assert.deepEqual(editor.texts(), ['', 'foo', '']);
+    });
+
+    it('changes the value with every undo and redo', () => {
+        editor.type('foo,bar');
+        const values = () => Array.from(editor.control.value, ({text}) => text);
+        const undone = [values()];
+        while (editor.control.undo()) {
+            undone.push(values());
+        }
+        assert.deepEqual(undone, [['foo', 'bar'], ['foo'], []]);
+        const redone = [values()];
+        while (editor.control.redo()) {
+            redone.push(values());
+        }
+        assert.deepEqual(redone, [[], ['foo'], ['foo', 'bar']]);
+    });
+});
+
+describe('decorated badges', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor({
+            renderBadge(value, node) {
+                const icon = node.ownerDocument.createElement('i');
+                icon.textContent = '#';
+                node.prepend(icon);
+                node.append(`(${value.text.length})`);
+                return value.text === 'x' ? 'danger' : undefined;
+            },
+        });
+        editor.focus();
+        editor.type('foo,x,');
+    });
+    afterEach(() => editor.close());
+
+    it('renders non-editable decorations around the text', () => {
+        const [foo, x] = editor.badges();
+        assert.equal(foo.textContent, '#foo(3)');
+        assert.deepEqual(Array.from(foo.querySelectorAll('.badge-decoration'),
+            node => node.contentEditable), ['false', 'false']);
+        assert.ok(foo.classList.contains('badge-primary'));
+        assert.ok(x.classList.contains('badge-danger'));
+        assert.ok(!x.classList.contains('badge-primary'));
+        assert.equal(foo.lastElementChild.nodeName, 'BR');
+    });
+
+    it('excludes decorations from the text and caret offsets', () => {
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'x', '']);
+        assert.equal(editor.control.textContent, 'foo,x,');
+        editor.placeCaret(1, 1);
+        editor.type(',');
+        assert.deepEqual(editor.texts(), ['', 'f', '', 'oo', '', 'x', '']);
+        assert.equal(editor.badges()[1].textContent, '#oo(2)');
+    });
+
+    it('removes the decorations of a badge that becomes invalid', () => {
+        editor.control.parser = {
+            parse: editor.control.parser.parse,
+            validate: value => value.text !== 'fo',
+        };
+        editor.placeCaret(1, 3);
+        editor.press('Backspace');
+        const [fo] = editor.badges();
+        assert.ok(fo.classList.contains('badge-invalid'));
+        assert.equal(fo.querySelector('.badge-decoration'), null);
+        assert.ok(!fo.classList.contains('badge-primary'));
+    });
+});
@@ -0,0 +1,55 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDocument } from './harness.mjs';
+
+describe('<badge-editable>', () => {
+    let window;
+    let element;
+    beforeEach(() => {
+        window = createDocument('<form><badge-editable name="tags">foo,bar</badge-editable></form>');
+        window.BadgeEditable.define();
+        element = window.document.querySelector('badge-editable');
+    });
+    afterEach(() => window.close());
+
+    it('is only defined by define()', () => {
+        const other = createDocument('<badge-editable>foo</badge-editable>');
+        assert.equal(other.customElements.get('badge-editable'), undefined);
+        assert.equal(other.document.querySelector('badge-editable').badgeEditable, undefined);
+        other.close();
+    });
+
+    it('parses its text into badges when it is connected', () => {
+        assert.deepEqual(Array.from(element.value, value => value.text), ['foo', 'bar']);
+        assert.equal(element.textContent, 'foo,bar');
+    });
+
+    it('has a validity before it is connected', () => {
+        const detached = window.document.createElement('badge-editable');
+        assert.equal(detached.badgeEditable, null);
+        assert.equal(detached.validity.valid, true);
+        assert.equal(detached.validationMessage, '');
+        assert.equal(detached.checkValidity(), true);
+        assert.equal(detached.reportValidity(), true);
+
+        const events = [];
+        detached.addEventListener('invalid', event => events.push(event.type));
+        detached.setCustomValidity('Pick a tag');
+        assert.equal(detached.validity.valid, false);
+        assert.equal(detached.validity.customError, true);
+        assert.equal(detached.validationMessage, 'Pick a tag');
+        assert.equal(detached.checkValidity(), false);
+        assert.deepEqual(events, ['invalid']);
+
+        window.document.body.appendChild(detached);
+        assert.equal(detached.validity.customError, true);
+        assert.equal(detached.validationMessage, 'Pick a tag');
+    });
+
+    it('keeps the keys of its badges when its parser changes', () => {
+        const keys = Array.from(element.value, value => value.key);
+        element.setAttribute('parser', 'words');
+        assert.deepEqual(Array.from(element.value, value => value.key), keys);
+        assert.deepEqual(Array.from(element.value, value => value.text), ['foo', 'bar']);
+    });
+});
@@ -0,0 +1,161 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor } from './harness.mjs';
+
+describe('on and off', () => {
+    let editor;
+    let events;
+    beforeEach(() => {
+        editor = createEditor();
+        events = [];
+    });
+    afterEach(() => editor.close());
+
+    it('calls every change listener, including the onChange option', () => {
+        const listener = batch => events.push(batch.length);
+        editor.control.on('change', listener);
+        editor.control.on('change', listener);
+        editor.focus();
+        editor.type('a,');
+        assert.deepEqual(events, [1, 1]);
+        assert.deepEqual(editor.summary(), [['add:a'], ['change:a']]);
+        editor.control.off('change', listener);
+        editor.type('b');
+        assert.deepEqual(events, [1, 1]);
+        assert.equal(editor.changes.length, 3);
+    });
+
+    it('fires focus, blur and activate events', () => {
+        for (const type of ['focus', 'blur', 'activate']) {
+            editor.control.on(type, event => events.push([type, event.node || event.type]));
+        }
+        editor.focus();
+        const spacer = editor.element.firstElementChild;
+        editor.element.blur();
+        assert.deepEqual(events, [
+            ['activate', spacer],
+            ['focus', 'focus'],
+            ['blur', 'blur'],
+        ]);
+    });
+
+    it('gives an activate event the value of a valid badge', () => {
+        editor.control.value = [{text: 'a'}, {text: 'b'}];
+        editor.control.on('activate', ({node, value}) => events.push([node, value && value.text]));
+        editor.control.focus({badgeKey: editor.control.value[0].key});
+        assert.deepEqual(events.pop(), [editor.badges()[0], 'a']);
+    });
+
+    it('fires a split event after the changes of the split', () => {
+        editor.control.on('change', batch => events.push(batch.length));
+        editor.control.on('split', ({node, nodes, values}) => events.push({
+            node,
+            nodes: Array.from(nodes),
+            texts: Array.from(values, value => value.text),
+        }));
+        editor.focus();
+        editor.type('foobar');
+        events.length = 0;
+        editor.placeCaret(1, 3);
+        editor.type(',');
+        const [foo, bar] = editor.badges();
+        assert.deepEqual(events, [2, {node: foo, nodes: [foo, bar], texts: ['foo', 'bar']}]);
+    });
+
+    it('fires invalid events', () => {
+        editor.control.on('invalid', errors => events.push(...Array.from(errors, error => error.message)));
+        editor.control.setOptions({
+            parser: {
+                parse: editor.window.BadgeEditable.CommaSeparatedParser,
+                validate: value => value.text === 'x' ? 'No x' : true,
+            },
+        });
+        editor.focus();
+        editor.type('x,');
+        assert.deepEqual(events, ['No x']);
+    });
+
+    it('fires invalid events for a validator that returns false', () => {
+        editor.control.on('invalid', errors => events.push(...Array.from(errors, error => error.message)));
+        editor.control.setOptions({
+            parser: {
+                parse: editor.window.BadgeEditable.CommaSeparatedParser,
+                validate: value => value.text.trim() !== 'bad',
+            },
+        });
+        editor.focus();
+        editor.type('bad,');
+        assert.deepEqual(events, ['Invalid value']);
+        assert.equal(editor.badges()[0].title, 'Invalid value');
+    });
+
+    it('throws when the listener is not a function', () => {
+        assert.throws(() => editor.control.on('change', null), editor.window.TypeError);
+    });
+});
+
+describe('setOptions', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.focus();
+        editor.type('foo,x,bar,');
+        editor.changes.length = 0;
+    });
+    afterEach(() => editor.close());
+
+    it('validates every badge again with a new parser, in place', () => {
+        const nodes = editor.badges();
+        editor.control.setOptions({
+            parser: {
+                parse: editor.window.BadgeEditable.CommaSeparatedParser,
+                validate: value => value.text.length > 1,
+            },
+        });
+        assert.deepEqual(editor.badges(), nodes);
+        assert.deepEqual(nodes.map(node => node.classList.contains('badge-invalid')),
+            [false, true, false]);
+        assert.deepEqual(editor.summary(), [['change:foo', 'delete:x', 'change:bar']]);
+
+        editor.control.setOptions({parser: {parse: editor.window.BadgeEditable.CommaSeparatedParser}});
+        assert.deepEqual(editor.badges(), nodes);
+        assert.ok(!nodes[1].classList.contains('badge-invalid'));
+        assert.deepEqual(Array.from(editor.control.value, value => value.text), ['foo', 'x', 'bar']);
+    });
+
+    it('changes the class of the valid badges in place', () => {
+        const nodes = editor.badges();
+        editor.control.setOptions({validLabel: 'info'});
+        assert.deepEqual(editor.badges(), nodes);
+        assert.ok(nodes.every(node => node.classList.contains('badge-info')
+            && !node.classList.contains('badge-primary')));
+        assert.equal(editor.control.validLabel, 'info');
+    });
+
+    it('replaces the onChange listener', () => {
+        const changes = [];
+        editor.control.setOptions({onChange: batch => changes.push(batch.length)});
+        editor.type('baz,');
+        assert.equal(changes.length, 4);
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('uses a new sentinal generator for new badges', () => {
+        editor.control.setOptions({makeSentinal: () => editor.document.createElement('wbr')});
+        editor.type('baz,');
+        assert.equal(editor.badges()[0].lastElementChild.nodeName, 'BR');
+        assert.equal(editor.element.lastElementChild.lastElementChild.nodeName, 'WBR');
+    });
+
+    it('assigns the options that are also properties', () => {
+        editor.control.setOptions({placeholder: 'Tags', maxBadges: 5, required: true});
+        assert.equal(editor.control.placeholder, 'Tags');
+        assert.equal(editor.control.maxBadges, 5);
+        assert.equal(editor.element.getAttribute('aria-required'), 'true');
+    });
+
+    it('throws for an option that can not be changed', () => {
+        assert.throws(() => editor.control.setOptions({internals: null}), editor.window.TypeError);
+        assert.throws(() => editor.control.setOptions({colour: 'red'}), editor.window.TypeError);
+    });
+});
@@ -0,0 +1,44 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDocument, createEditor } from './harness.mjs';
+
+const parts = document => Array.from(document.querySelectorAll('.badge-inputs, .badge-validity'),
+    node => node.className);
+
+describe('form participation', () => {
+    let editor;
+    afterEach(() => editor.close());
+
+    it('adds no inputs to a control that is outside a form and unnamed', () => {
+        editor = createEditor({required: true});
+        assert.deepEqual(parts(editor.document), []);
+        assert.equal(editor.control.checkValidity(), false);
+        assert.equal(editor.control.validity.valid, false);
+    });
+
+    it('submits the badges of a control within a form', () => {
+        const window = editor = createDocument('<form><div class="form-control"></div></form>');
+        const form = window.document.querySelector('form');
+        const control = new window.BadgeEditable(form.firstElementChild);
+        control.textContent = 'a,b';
+        assert.deepEqual(parts(window.document), ['badge-validity', 'badge-inputs']);
+        assert.deepEqual(new window.FormData(form).getAll(''), []);
+        control.name = 'tags';
+        assert.deepEqual(new window.FormData(form).getAll('tags'), ['a', 'b']);
+        control.destroy();
+        assert.deepEqual(parts(window.document), []);
+    });
+
+    it('adds the inputs once a control outside a form is named', () => {
+        editor = createEditor();
+        editor.control.textContent = 'a';
+        editor.control.name = 'tags';
+        assert.deepEqual(parts(editor.document), ['badge-validity', 'badge-inputs']);
+        assert.equal(editor.document.querySelector('.badge-inputs input').value, 'a');
+        editor.control.name = null;
+        assert.deepEqual(parts(editor.document), []);
+        editor.control.name = 'tags';
+        editor.control.destroy();
+        assert.deepEqual(parts(editor.document), []);
+    });
+});
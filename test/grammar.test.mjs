@@ -0,0 +1,140 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor } from './harness.mjs';
+import { fromGrammar } from '../src/parsers.mjs';
+import * as QueryGrammar from '../src/grammars/query.mjs';
+import { QueryParser } from '../src/query.mjs';
+
+const parse = fromGrammar(QueryGrammar);
+
+const summarise = items => items.map(item => item === undefined ? undefined : [
+    item.text, item.location.start.offset, item.location.end.offset,
+]);
+
+describe('QueryGrammar', () => {
+    it('recognises filters, terms and keywords', () => {
+        const items = parse('status:open -label:"needs review" stars:>=10 OR bug');
+        assert.deepEqual(items.map(({type, field, operator, value, negated, keyword}) => ({
+            type, field, operator, value, negated, keyword,
+        })), [
+            {type: 'filter', field: 'status', operator: '=', value: 'open', negated: false, keyword: undefined},
+            {type: 'filter', field: 'label', operator: '=', value: 'needs review', negated: true, keyword: undefined},
+            {type: 'filter', field: 'stars', operator: '>=', value: '10', negated: false, keyword: undefined},
+            {type: 'keyword', field: undefined, operator: undefined, value: undefined, negated: undefined, keyword: 'OR'},
+            {type: 'term', field: undefined, operator: undefined, value: 'bug', negated: false, keyword: undefined},
+        ]);
+    });
+
+    it('resolves escapes within quoted values', () => {
+        assert.equal(parse('title:"say \\"hi\\""')[0].value, 'say "hi"');
+    });
+
+    it('treats a keyword that is part of a word as a term', () => {
+        assert.deepEqual(parse('ORx').map(item => item.type), ['term']);
+    });
+});
+
+describe('fromGrammar', () => {
+    it('maps the location of each token to its item', () => {
+        assert.deepEqual(summarise(parse('a:b  c')), [
+            ['a:b', 0, 3],
+            ['c', 5, 6],
+        ]);
+    });
+
+    it('ends with an undefined item when text follows the last token', () => {
+        assert.deepEqual(summarise(parse('a ')), [['a', 0, 1], undefined]);
+        assert.deepEqual(summarise(parse('')), []);
+    });
+
+    it('turns partial input into an undefined last item', () => {
+        assert.deepEqual(summarise(parse('a:b label:"needs')), [['a:b', 0, 3], undefined]);
+    });
+
+    it('does not split a partial token', () => {
+        assert.deepEqual(summarise(parse('label:"needs review')), [undefined]);
+    });
+
+    it('parses the text before the syntax error without library mode', () => {
+        const grammar = {
+            parse: (source, options) => QueryGrammar.parse(source,
+                Object.assign({}, options, {peg$library: false})),
+            SyntaxError: QueryGrammar.SyntaxError,
+        };
+        assert.deepEqual(summarise(fromGrammar(grammar)('a:b label:"needs')), [undefined]);
+        assert.deepEqual(summarise(fromGrammar(grammar)('a:b')), [['a:b', 0, 3]]);
+    });
+
+    it('throws other syntax errors', () => {
+        assert.throws(() => parse('a"b'), QueryGrammar.SyntaxError);
+    });
+
+    it('passes the start rule and other options to the generated parser', () => {
+        const calls = [];
+        const grammar = {
+            parse(source, options) {
+                calls.push(options);
+                return [[{location: {start: {offset: 0}, end: {offset: source.length}}}], null];
+            },
+        };
+        const items = fromGrammar(grammar, {
+            startRule: 'Tokens',
+            parseOptions: {grammarSource: 'input'},
+        })('abc');
+        assert.deepEqual(calls, [{grammarSource: 'input', startRule: 'Tokens'}]);
+        assert.deepEqual(summarise(items), [['abc', 0, 3]]);
+    });
+
+    it('maps tokens with the map option', () => {
+        const items = fromGrammar(QueryGrammar, {
+            map: token => token.type === 'keyword' ? undefined : {
+                text: token.text.toUpperCase(),
+                location: token.location,
+            },
+        })('a OR b');
+        assert.deepEqual(summarise(items), [['A', 0, 1], ['B', 5, 6]]);
+    });
+});
+
+describe('the query parser', () => {
+    let editor;
+    after(() => editor.close());
+
+    it('splits typed text into badges', () => {
+        editor = createEditor({parser: QueryParser});
+        editor.focus();
+        editor.type('is:open label:"needs review" ');
+        assert.deepEqual(editor.texts(), ['', 'is:open', '', 'label:"needs review"', '']);
+        assert.deepEqual(Array.from(editor.control.value, value => value.field), ['is', 'label']);
+        assert.deepEqual(editor.caret(), [4, 0]);
+    });
+
+    it('leaves a partial token unsettled until it is complete', () => {
+        editor.type('x:"a');
+        const badge = editor.element.children[5];
+        assert.ok(!badge.classList.contains('badge-invalid'));
+        assert.ok(!badge.classList.contains('badge-primary'));
+        assert.equal(badge.title, '');
+        editor.type('"');
+        assert.ok(badge.classList.contains('badge-primary'));
+        assert.deepEqual(Array.from(editor.control.value, value => value.field), ['is', 'label', 'x']);
+    });
+
+    it('splits the completed tokens from a pasted partial token', () => {
+        editor.control.textContent = '';
+        editor.focus();
+        editor.paste('a:b label:"needs');
+        assert.deepEqual(editor.texts(), ['', 'a:b', '', 'label:"needs', '']);
+        assert.deepEqual(editor.caret(), [3, 12]);
+        assert.deepEqual(Array.from(editor.control.value, value => value.text), ['a:b']);
+        assert.equal(editor.control.textContent, 'a:b label:"needs');
+        editor.control.textContent = 'c:d  e:"f';
+        assert.deepEqual(editor.texts(), ['', 'c:d', '', 'e:"f', '']);
+        assert.equal(editor.control.textContent, 'c:d  e:"f');
+    });
+
+    it('is not part of the core bundle', () => {
+        assert.equal(editor.window.BadgeEditable.parsers.query, undefined);
+        assert.equal(editor.window.BadgeEditable.QueryGrammar, undefined);
+    });
+});
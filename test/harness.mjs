@@ -0,0 +1,393 @@
+import { readFileSync } from 'fs';
+import { JSDOM } from 'jsdom';
+
+/**
+ * The built bundle, which is evaluated within each document.
+ *
+ * @type {String}
+ * @private
+ */
+const bundle = readFileSync(new URL('../dist/badgeeditable.js', import.meta.url), 'utf8');
+
+/**
+ * The text nodes of a badge's element that make up its text, i.e. excluding
+ * those of its non-editable decorations and buttons.
+ *
+ * @param {Element} node - of the badge
+ * @returns {Array.<Text>} The text nodes.
+ * @private
+ */
+function getTextNodes(node) {
+    const window = node.ownerDocument.defaultView;
+    const {NodeFilter} = window;
+    const walker = node.ownerDocument.createTreeWalker(node,
+        NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT, {
+            acceptNode: child => child.nodeType === window.Node.TEXT_NODE
+                ? NodeFilter.FILTER_ACCEPT
+                : child.contentEditable === 'false'
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_SKIP,
+        });
+    const nodes = [];
+    while (walker.nextNode()) {
+        nodes.push(walker.currentNode);
+    }
+    return nodes;
+}
+
+/**
+ * Creates a document in which the bundle has been evaluated, i.e. whose
+ * window has `BadgeEditable`.
+ *
+ * @param {String} html - the body of the document
+ * @returns {Window} The window.
+ */
+export function createDocument(html) {
+    const {window} = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, {
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+    });
+    window.eval(bundle);
+    return window;
+}
+
+/**
+ * Creates a document that contains a {@link BadgeEditable} control and a
+ * harness that simulates the user, by dispatching the events that a browser
+ * would and performing the default action of each event that is not
+ * cancelled.
+ *
+ * @param {Object} [options] - of the control, onChange defaults to recording
+ *     the batches of changes in the harness's changes
+ * @param {Object} [setup]
+ * @param {String} [setup.html] - the body of the document, the control is
+ *     attached to its first element
+ * @returns {Object} The harness.
+ */
+export function createEditor(options = {}, {
+    html = '<div class="form-control" tabindex="0"></div>',
+} = {}) {
+    const window = createDocument(html);
+    const {document} = window;
+
+    const element = document.body.firstElementChild;
+    const changes = [];
+    const control = new window.BadgeEditable(element, Object.assign({
+        onChange: batch => changes.push(batch),
+    }, options));
+    const selection = window.getSelection();
+
+    /**
+     * Converts a text offset within a badge into a DOM position.
+     */
+    function getPosition(index, offset) {
+        const node = element.children[index];
+        if (!node) {
+            throw new RangeError(`No badge at ${index}`);
+        }
+        let text = null;
+        for (text of getTextNodes(node)) {
+            if (offset <= text.length) {
+                return [text, offset];
+            }
+            offset -= text.length;
+        }
+        return text ? [text, text.length] : [node, 0];
+    }
+
+    /**
+     * Converts a DOM position into the index of a badge and the text offset
+     * within that badge.
+     */
+    function getOffset(container, offset) {
+        const node = Array.from(element.children)
+            .find(child => child === container || child.contains(container));
+        if (!node) {
+            return null;
+        }
+        let length = 0;
+        for (const text of getTextNodes(node)) {
+            if (text === container) {
+                return [Array.from(element.children).indexOf(node), length + offset];
+            }
+            length += text.length;
+        }
+        return [Array.from(element.children).indexOf(node), container === node && offset === 0 ? 0 : length];
+    }
+
+    function dispatch(event) {
+        return element.dispatchEvent(event);
+    }
+
+    function dispatchInput(type, inputType, data = null) {
+        const init = {inputType, data, bubbles: true, cancelable: type === 'beforeinput'};
+        return dispatch(new window.InputEvent(type, init));
+    }
+
+    function insertAtSelection(text) {
+        const range = selection.getRangeAt(0);
+        range.deleteContents();
+        const container = range.startContainer;
+        if (container.nodeType === window.Node.TEXT_NODE) {
+            container.insertData(range.startOffset, text);
+            selection.collapse(container, range.startOffset + text.length);
+        } else {
+            const node = document.createTextNode(text);
+            range.insertNode(node);
+            selection.collapse(node, text.length);
+        }
+    }
+
+    function deleteAtSelection(forward) {
+        if (!selection.isCollapsed) {
+            selection.getRangeAt(0).deleteContents();
+            return;
+        }
+        const {anchorNode, anchorOffset} = selection;
+        if (anchorNode.nodeType !== window.Node.TEXT_NODE) {
+            return;
+        }
+        if (forward && anchorOffset < anchorNode.length) {
+            anchorNode.deleteData(anchorOffset, 1);
+        } else if (!forward && anchorOffset > 0) {
+            anchorNode.deleteData(anchorOffset - 1, 1);
+            selection.collapse(anchorNode, anchorOffset - 1);
+        }
+    }
+
+    const editor = {
+        window,
+        document,
+        element,
+        control,
+        changes,
+
+        /**
+         * Focuses the control, as if it were clicked.
+         */
+        focus() {
+            element.focus();
+        },
+
+        /**
+         * Types the specified text, one character at a time.
+         *
+         * @param {String} text - to be typed
+         */
+        type(text) {
+            for (const key of text) {
+                if (dispatch(new window.KeyboardEvent('keydown', {key, bubbles: true, cancelable: true}))
+                    && dispatchInput('beforeinput', 'insertText', key)) {
+                    insertAtSelection(key);
+                    dispatchInput('input', 'insertText', key);
+                }
+                dispatch(new window.KeyboardEvent('keyup', {key, bubbles: true}));
+            }
+        },
+
+        /**
+         * Composes the specified text with an input method, which cannot be
+         * prevented.
+         *
+         * @param {String} text - to be composed
+         */
+        compose(text) {
+            dispatch(new window.CompositionEvent('compositionstart', {bubbles: true, data: ''}));
+            dispatch(new window.InputEvent('beforeinput', {
+                inputType: 'insertCompositionText', data: text, isComposing: true, bubbles: true,
+            }));
+            insertAtSelection(text);
+            dispatch(new window.InputEvent('input', {
+                inputType: 'insertCompositionText', data: text, isComposing: true, bubbles: true,
+            }));
+            dispatch(new window.CompositionEvent('compositionend', {bubbles: true, data: text}));
+        },
+
+        /**
+         * Presses a key, such as Backspace, Delete, Enter or an arrow key.
+         *
+         * @param {String} key - the key value
+         * @param {Object} [modifiers] - e.g. `{ctrlKey: true}`
+         * @returns {Boolean} `false` if the control handled the key.
+         */
+        press(key, modifiers = {}) {
+            const init = Object.assign({key, bubbles: true, cancelable: true}, modifiers);
+            const unhandled = dispatch(new window.KeyboardEvent('keydown', init));
+            if (unhandled && (key === 'Backspace' || key === 'Delete')) {
+                const inputType = key === 'Delete'
+                    ? 'deleteContentForward' : 'deleteContentBackward';
+                if (dispatchInput('beforeinput', inputType)) {
+                    deleteAtSelection(key === 'Delete');
+                    dispatchInput('input', inputType);
+                }
+            } else if (unhandled && (key === 'ArrowLeft' || key === 'ArrowRight')
+                && selection.anchorNode.nodeType === window.Node.TEXT_NODE) {
+                const {anchorNode, anchorOffset} = selection;
+                const offset = anchorOffset + (key === 'ArrowLeft' ? -1 : 1);
+                selection.collapse(anchorNode,
+                    Math.max(0, Math.min(offset, anchorNode.length)));
+            }
+            dispatch(new window.KeyboardEvent('keyup', Object.assign({key, bubbles: true}, modifiers)));
+            return !unhandled;
+        },
+
+        /**
+         * Pastes the specified text at the selection.
+         *
+         * @param {String} text - to be pasted
+         */
+        paste(text) {
+            const event = new window.Event('paste', {bubbles: true, cancelable: true});
+            event.clipboardData = {getData: type => type === 'text/plain' ? text : ''};
+            dispatch(event);
+        },
+
+        /**
+         * Copies, or cuts, the selection.
+         *
+         * @param {String} [type=copy] - 'copy' or 'cut'
+         * @returns {String} The plain text that was put on the clipboard.
+         */
+        copy(type = 'copy') {
+            const data = {};
+            const event = new window.Event(type, {bubbles: true, cancelable: true});
+            event.clipboardData = {setData: (format, value) => data[format] = value};
+            dispatch(event);
+            return data['text/plain'];
+        },
+
+        /**
+         * Places the caret within a badge, as if it were clicked.
+         *
+         * @param {Number} index - of the badge's element, spacers included
+         * @param {Number} offset - into the badge's text
+         */
+        placeCaret(index, offset) {
+            selection.collapse(...getPosition(index, offset));
+            dispatch(new window.MouseEvent('mouseup', {bubbles: true}));
+            dispatch(new window.KeyboardEvent('keyup', {key: 'Unidentified', bubbles: true}));
+        },
+
+        /**
+         * Selects text across the badges.
+         *
+         * @param {Number} startIndex - of the badge in which the selection
+         *     starts
+         * @param {Number} startOffset - into its text
+         * @param {Number} endIndex - of the badge in which the selection ends
+         * @param {Number} endOffset - into its text
+         */
+        select(startIndex, startOffset, endIndex, endOffset) {
+            selection.setBaseAndExtent(
+                ...getPosition(startIndex, startOffset),
+                ...getPosition(endIndex, endOffset));
+        },
+
+        /**
+         * The position of the caret, i.e. the focus of the selection.
+         *
+         * @returns {Array.<Number>} The index of the badge's element and the
+         *     offset into its text, or `null` when there is no selection
+         *     within the control.
+         */
+        caret() {
+            if (selection.rangeCount === 0) {
+                return null;
+            }
+            return getOffset(selection.focusNode, selection.focusOffset);
+        },
+
+        /**
+         * The text of every element of the control, spacers included.
+         *
+         * @returns {Array.<String>} The texts.
+         */
+        texts() {
+            return Array.from(element.children,
+                node => getTextNodes(node).map(text => text.data).join(''));
+        },
+
+        /**
+         * The elements of the badges of the control, excluding spacers.
+         *
+         * @returns {Array.<Element>} The badges.
+         */
+        badges() {
+            return Array.from(element.children)
+                .filter(node => !node.classList.contains('badge-empty'));
+        },
+
+        /**
+         * The type and text of each change, of each batch of changes.
+         *
+         * @returns {Array.<Array.<String>>} `type:text` for each change.
+         */
+        summary() {
+            return changes.map(batch => Array.from(batch, ({type, value, previousValue}) => {
+                const text = (value || previousValue).text;
+                return `${type}:${text}`;
+            }));
+        },
+
+        /**
+         * Discards the document.
+         */
+        close() {
+            control.destroy();
+            window.close();
+        },
+    };
+    return editor;
+}
+
+/**
+ * Checks that the elements of a control alternate between empty spacers and
+ * badges, beginning and ending with a spacer.
+ *
+ * @param {Object} editor - the harness
+ * @returns {Array.<String>} A description of each violation.
+ */
+export function spacerViolations({element}) {
+    const violations = [];
+    const children = Array.from(element.children);
+    if (children.length % 2 === 0) {
+        violations.push(`even number of elements: ${children.length}`);
+    }
+    children.forEach((node, i) => {
+        const empty = node.classList.contains('badge-empty');
+        if (i % 2 === 0 && !(empty && node.textContent === '')) {
+            violations.push(`element ${i} is not an empty spacer`);
+        }
+        if (i % 2 === 1 && (empty || node.textContent === '')) {
+            violations.push(`element ${i} is not a badge`);
+        }
+        if (!node.classList.contains('badge')) {
+            violations.push(`element ${i} is not a badge element`);
+        }
+    });
+    return violations;
+}
+
+/**
+ * Makes the window of a new document the global scope of this process, for
+ * the framework bindings, which are imported as modules rather than
+ * evaluated within a document.  The properties of the window that the
+ * global scope lacks are copied to it.
+ *
+ * @param {String} [html] - the body of the document
+ * @returns {Window} The window.
+ */
+export function installDocument(html = '<div id="root"></div>') {
+    const {window} = new JSDOM(`<!DOCTYPE html><body>${html}</body>`, {
+        pretendToBeVisual: true,
+    });
+    for (const name of Object.getOwnPropertyNames(window)) {
+        if (!(name in globalThis)) {
+            Object.defineProperty(globalThis, name, {
+                get: () => window[name],
+                set: value => window[name] = value,
+                configurable: true,
+            });
+        }
+    }
+    return window;
+}
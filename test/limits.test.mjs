@@ -0,0 +1,68 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor, spacerViolations } from './harness.mjs';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 10));
+
+describe('limits', () => {
+    let editor;
+    let limits;
+    const create = (options, async = false) => {
+        limits = [];
+        editor = createEditor(Object.assign({
+            onLimit: ({type, limit, input}) => limits.push([type, limit, input]),
+        }, async ? {
+            parser: {
+                parse: text => Promise.resolve(editor.window.BadgeEditable.CommaSeparatedParser(text)),
+            },
+        } : {}, options));
+        editor.focus();
+    };
+    afterEach(() => editor.close());
+
+    it('blocks the input of a badge past the maximum number of badges', () => {
+        create({maxBadges: 1});
+        editor.type('a,b,c,');
+        assert.deepEqual(editor.texts(), ['', 'a', '']);
+        assert.deepEqual(limits[0], ['maxBadges', 1, 'b']);
+    });
+
+    it('blocks the characters past the maximum length of a badge', () => {
+        create({maxLength: 3});
+        editor.type('abcd,');
+        assert.deepEqual(editor.texts(), ['', 'abc', '']);
+        assert.deepEqual(limits, [['maxLength', 3, 'd']]);
+    });
+
+    it('measures the items without text by their location', () => {
+        create({
+            maxLength: 3,
+            parser: {
+                parse: text => editor.window.BadgeEditable.CommaSeparatedParser(text)
+                    .map(item => item && Object.assign({}, item, {text: undefined})),
+            },
+        });
+        editor.paste('ab,abcd,c');
+        assert.deepEqual(editor.texts(), ['']);
+        assert.deepEqual(limits, [['maxLength', 3, 'ab,abcd,c']]);
+    });
+
+    it('removes the badges past the maximum number of badges from an asynchronous parser', async () => {
+        create({maxBadges: 1}, true);
+        editor.type('a,b,c,');
+        await settle();
+        assert.deepEqual(editor.texts(), ['', 'a', '']);
+        assert.deepEqual(Array.from(editor.control.value, value => value.text), ['a']);
+        assert.deepEqual(limits, [['maxBadges', 1, 'b,c,']]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('removes the characters past the maximum length from an asynchronous parser', async () => {
+        create({maxLength: 3}, true);
+        editor.type('abcde');
+        await settle();
+        assert.deepEqual(editor.texts(), ['', 'abc', '']);
+        assert.deepEqual(editor.caret(), [1, 3]);
+        assert.deepEqual(limits, [['maxLength', 3, 'de']]);
+    });
+});
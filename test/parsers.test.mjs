@@ -0,0 +1,147 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor } from './harness.mjs';
+import {
+    DelimiterParser,
+    CSVParser,
+    RecipientParser,
+    FilterParser,
+} from '../src/parsers.mjs';
+
+// Array.from, rather than map, so that items from the document's realm are
+// compared as arrays of this realm.
+const locations = items => Array.from(items, item => [
+    item.text, item.location.start.offset, item.location.end.offset,
+]);
+
+describe('CommaSeparatedParser', () => {
+    let editor;
+    let parse;
+    before(() => {
+        editor = createEditor();
+        parse = editor.window.BadgeEditable.CommaSeparatedParser;
+    });
+    after(() => editor.close());
+
+    it('omits the commas from the text and location of each item', () => {
+        assert.deepEqual(locations(parse('foo, bar')), [
+            ['foo', 0, 3],
+            [' bar', 4, 8],
+        ]);
+    });
+
+    it('always has a last item for the text that is being entered', () => {
+        assert.deepEqual(locations(parse('')), [['', 0, 0]]);
+        assert.deepEqual(locations(parse('foo,')), [['foo', 0, 3], ['', 4, 4]]);
+    });
+
+    it('offsets each item from the start of the source text', () => {
+        assert.deepEqual(locations(parse('a,bb,ccc,d')), [
+            ['a', 0, 1],
+            ['bb', 2, 4],
+            ['ccc', 5, 8],
+            ['d', 9, 10],
+        ]);
+    });
+
+    it('does not split at a leading comma', () => {
+        assert.deepEqual(locations(parse(',a')), [[',a', 0, 2]]);
+    });
+});
+
+describe('DelimiterParser', () => {
+    it('splits at any delimiter and trims each item', () => {
+        const parse = DelimiterParser({delimiters: [',', ';']});
+        assert.deepEqual(locations(parse('foo; bar ,baz')), [
+            ['foo', 0, 3],
+            ['bar', 5, 8],
+            ['baz', 10, 13],
+        ]);
+    });
+
+    it('recognises a leading delimiter', () => {
+        const parse = DelimiterParser();
+        assert.deepEqual(locations(parse(',a')), [['', 0, 0], ['a', 1, 2]]);
+    });
+
+    it('splits at whitespace and line breaks', () => {
+        assert.deepEqual(locations(DelimiterParser({whitespace: true})('a b')), [
+            ['a', 0, 1],
+            ['b', 2, 3],
+        ]);
+        assert.deepEqual(locations(DelimiterParser()('a\nb')), [
+            ['a', 0, 1],
+            ['b', 2, 3],
+        ]);
+        assert.deepEqual(locations(DelimiterParser({newlines: false})('a\nb')), [
+            ['a\nb', 0, 3],
+        ]);
+    });
+});
+
+describe('CSVParser', () => {
+    it('does not split within quotes', () => {
+        const items = CSVParser()('"Doe, Jane", bob');
+        assert.deepEqual(locations(items), [
+            ['"Doe, Jane"', 0, 11],
+            ['bob', 13, 16],
+        ]);
+        assert.deepEqual(items.map(item => item.value), ['Doe, Jane', 'bob']);
+    });
+
+    it('unescapes doubled quotes and escape characters', () => {
+        assert.equal(CSVParser()('"say ""hi"""')[0].value, 'say "hi"');
+        assert.equal(CSVParser({escape: '\\'})('"a\\"b"')[0].value, 'a"b');
+    });
+
+    it('keeps an unterminated quote in the last item', () => {
+        assert.deepEqual(locations(CSVParser()('a, "b, c')), [
+            ['a', 0, 1],
+            ['"b, c', 3, 8],
+        ]);
+    });
+});
+
+describe('RecipientParser', () => {
+    it('recognises named recipients and bare addresses', () => {
+        const items = RecipientParser()('"Doe, Jane" <jane@example.com>; bob@example.com');
+        assert.deepEqual(items.map(({name, address, text}) => [name, address, text]), [
+            ['Doe, Jane', 'jane@example.com', '"Doe, Jane" <jane@example.com>'],
+            [null, 'bob@example.com', 'bob@example.com'],
+        ]);
+        assert.deepEqual(items.map(item => item.location.start.offset), [0, 32]);
+    });
+
+    it('normalises the text of a named recipient', () => {
+        assert.equal(RecipientParser()('Jane   <jane@example.com>')[0].text,
+            'Jane <jane@example.com>');
+    });
+
+    it('gives an implausible address an error', () => {
+        const [item] = RecipientParser({message: 'Nope'})('jane');
+        assert.equal(item.error, 'Nope');
+        assert.equal(RecipientParser()('')[0].error, undefined);
+    });
+});
+
+describe('FilterParser', () => {
+    it('recognises keys, quoted values and negation', () => {
+        const items = FilterParser()('status:open -label:"needs review" bug');
+        assert.deepEqual(items.map(({key, value, negated}) => [key, value, negated]), [
+            ['status', 'open', false],
+            ['label', 'needs review', true],
+            [null, 'bug', false],
+        ]);
+        assert.deepEqual(locations(items), [
+            ['status:open', 0, 11],
+            ['-label:"needs review"', 12, 33],
+            ['bug', 34, 37],
+        ]);
+    });
+
+    it('gives a token with an unknown key an error', () => {
+        const [known, unknown] = FilterParser({keys: ['is']})('is:open was:closed');
+        assert.equal(known.error, undefined);
+        assert.equal(unknown.error, 'Unknown filter "was"');
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor, spacerViolations } from './harness.mjs';
+
+const texts = values => Array.from(values, value => value.text);
+
+describe('textContent', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+    });
+    afterEach(() => editor.close());
+
+    it('parses the text into badges', () => {
+        editor.control.textContent = 'foo, bar,baz';
+        assert.deepEqual(editor.texts(), ['', 'foo', '', ' bar', '', 'baz', '']);
+        assert.deepEqual(texts(editor.control.value), ['foo', ' bar', 'baz']);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('round trips the text, separators included', () => {
+        editor.control.textContent = 'foo, bar,baz';
+        assert.equal(editor.control.textContent, 'foo, bar,baz');
+    });
+
+    it('reports the replaced badges in a single batch', () => {
+        editor.control.textContent = 'a,b';
+        editor.changes.length = 0;
+        editor.control.textContent = 'c';
+        assert.deepEqual(editor.summary(), [['delete:a', 'delete:b', 'add:c']]);
+    });
+
+    it('removes every badge when it is empty', () => {
+        editor.control.textContent = 'a,b';
+        editor.control.textContent = '';
+        assert.deepEqual(editor.texts(), ['']);
+        assert.deepEqual(Array.from(editor.control.value), []);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('makes the text an invalid badge when an asynchronous parser fails', async () => {
+        editor.close();
+        editor = createEditor({parser: {parse: () => Promise.reject(new Error('boom'))}});
+        const invalid = [];
+        editor.control.on('invalid', ([{text, error}]) => invalid.push([text, error.message]));
+        editor.control.textContent = 'a, b,';
+        await new Promise(resolve => setTimeout(resolve));
+        assert.deepEqual(editor.texts(), ['', 'a, b,', '']);
+        assert.ok(editor.badges()[0].classList.contains('badge-invalid'));
+        assert.deepEqual(invalid, [['a, b,', 'boom']]);
+        assert.deepEqual(Array.from(editor.control.value), []);
+    });
+
+    it('discards the result of an asynchronous parser that is out of date', async () => {
+        editor.close();
+        const delays = {slow: 20, fast: 0};
+        editor = createEditor({
+            parser: {
+                parse: text => new Promise(resolve => setTimeout(() => resolve(
+                    editor.window.BadgeEditable.CommaSeparatedParser(text)), delays[text] || 0)),
+            },
+        });
+        editor.control.textContent = 'slow';
+        editor.control.textContent = 'fast';
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.deepEqual(texts(editor.control.value), ['fast']);
+
+        editor.control.textContent = 'slow';
+        editor.control.destroy();
+        await new Promise(resolve => setTimeout(resolve, 40));
+        assert.equal(editor.element.children.length, 0);
+        assert.equal(editor.element.textContent, '');
+    });
+});
+
+describe('value', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+    });
+    afterEach(() => editor.close());
+
+    it('creates a badge for each data object', () => {
+        editor.control.value = [{text: 'foo'}, {text: 'bar'}];
+        assert.deepEqual(editor.texts(), ['', 'foo', '', 'bar', '']);
+        assert.deepEqual(texts(editor.control.value), ['foo', 'bar']);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('leaves a spacer, into which text can be typed, when it is emptied', () => {
+        editor.control.value = [{text: 'foo'}];
+        editor.control.value = [];
+        assert.deepEqual(editor.texts(), ['']);
+        assert.deepEqual(spacerViolations(editor), []);
+        editor.focus();
+        editor.type('bar,');
+        assert.deepEqual(editor.texts(), ['', 'bar', '']);
+    });
+
+    it('gives each data object the key of its badge', () => {
+        editor.control.value = [{text: 'foo'}, {text: 'bar'}];
+        const keys = editor.badges().map(node => Number(node.dataset.badgeKey));
+        assert.deepEqual(Array.from(editor.control.value, value => value.key), keys);
+    });
+
+    it('reports the replaced badges in a single batch', () => {
+        editor.control.value = [{text: 'a'}];
+        editor.changes.length = 0;
+        editor.control.value = [{text: 'b'}, {text: 'c'}];
+        assert.deepEqual(editor.summary(), [['delete:a', 'add:b', 'add:c']]);
+        const [[, add]] = editor.changes;
+        assert.equal(add.node, editor.element.children[1]);
+    });
+
+    it('can be undone', () => {
+        editor.control.value = [{text: 'a'}];
+        editor.control.value = [{text: 'b'}];
+        editor.control.undo();
+        assert.deepEqual(editor.texts(), ['', 'a', '']);
+    });
+
+    it('can be edited by typing', () => {
+        editor.control.value = [{text: 'foo'}];
+        editor.focus();
+        editor.placeCaret(1, 3);
+        editor.type('d,');
+        assert.deepEqual(editor.texts(), ['', 'food', '']);
+        assert.deepEqual(texts(editor.control.value), ['food']);
+    });
+});
+
+describe('reconcile', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        editor.control.value = [{text: 'a'}, {text: 'b'}, {text: 'c'}];
+        editor.changes.length = 0;
+    });
+    afterEach(() => editor.close());
+
+    it('does nothing when the data objects are unchanged', () => {
+        const badges = editor.badges();
+        editor.control.reconcile(editor.control.value);
+        assert.deepEqual(editor.badges(), badges);
+        assert.deepEqual(editor.changes, []);
+    });
+
+    it('matches the data objects by key, then by their properties', () => {
+        const [a, b, c] = editor.badges();
+        const [, {key}] = editor.control.value;
+        editor.control.reconcile([{text: 'c'}, {key, text: 'B'}, {text: 'd'}]);
+        assert.deepEqual(editor.texts(), ['', 'c', '', 'B', '', 'd', '']);
+        const [first, second] = editor.badges();
+        assert.equal(first, c);
+        assert.equal(second, b);
+        assert.equal(a.parentNode, null);
+        assert.deepEqual(editor.summary(), [['delete:a', 'move:c', 'change:B', 'add:d']]);
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('keeps the invalid badges', () => {
+        editor.focus();
+        editor.control.parser = {
+            parse: editor.control.parser.parse,
+            validate: value => value.text !== 'x',
+        };
+        editor.placeCaret(6, 0);
+        editor.type('x');
+        const [a] = editor.badges();
+        editor.control.reconcile([{text: 'a'}]);
+        assert.deepEqual(editor.texts().filter(Boolean), ['a', 'x']);
+        assert.equal(editor.badges()[0], a);
+    });
+});
+
+describe('destroy', () => {
+    let editor;
+    afterEach(() => editor.close());
+
+    it('removes only the classes that the control added to its element', () => {
+        editor = createEditor({maxBadges: 1, placeholder: 'Tags'}, {
+            html: '<div class="form-control readonly" tabindex="0"></div>',
+        });
+        editor.control.textContent = 'a';
+        assert.ok(editor.element.classList.contains('badge-max-badges'));
+        editor.control.destroy();
+        assert.equal(editor.element.className, 'form-control readonly');
+    });
+
+    it('removes the id that the control gave to its label', () => {
+        editor = createEditor({}, {
+            html: '<div id="tags" tabindex="0"></div><label for="tags">Tags</label>',
+        });
+        const label = editor.document.querySelector('label');
+        assert.equal(editor.element.getAttribute('aria-labelledby'), label.id);
+        editor.control.destroy();
+        assert.equal(label.hasAttribute('id'), false);
+        assert.equal(editor.element.hasAttribute('aria-labelledby'), false);
+    });
+});
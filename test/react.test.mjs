@@ -0,0 +1,119 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDocument } from './harness.mjs';
+
+const window = installDocument();
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+const React = await import('react');
+const { createElement, createRef, act } = React;
+const { createRoot } = await import('react-dom/client');
+const { BadgeEditableInput } = await import('../dist/react.mjs');
+
+const texts = values => Array.from(values, value => value.text);
+
+describe('BadgeEditableInput for React', () => {
+    let root;
+    let ref;
+    let calls;
+    const render = props => act(() => root.render(createElement(BadgeEditableInput,
+        Object.assign({ref, onChange: (value, changes) => calls.push([value, changes])}, props))));
+    const badges = () => Array.from(window.document.querySelectorAll('.badge:not(.badge-empty)'));
+
+    beforeEach(() => {
+        root = createRoot(window.document.getElementById('root'));
+        ref = createRef();
+        calls = [];
+    });
+    afterEach(() => act(() => root.unmount()));
+
+    it('shows the badges of a controlled value', async () => {
+        await render({value: [{text: 'a'}, {text: 'b'}]});
+        assert.deepEqual(badges().map(node => node.textContent), ['a', 'b']);
+        assert.ok(window.document.getElementById('root').firstElementChild.classList.contains('form-control'));
+        assert.deepEqual(calls, []);
+    });
+
+    it('keeps the badges that are unchanged by a new value', async () => {
+        await render({value: [{text: 'a'}, {text: 'b'}]});
+        const [a] = badges();
+        const [{key}] = ref.current.value;
+        await render({value: [{text: 'c'}, {key, text: 'a'}]});
+        assert.deepEqual(badges().map(node => node.textContent), ['c', 'a']);
+        assert.equal(badges()[1], a);
+        assert.equal(ref.current.value[1].key, key);
+        assert.deepEqual(calls, []);
+    });
+
+    it('reports the changes made by the user with the new value', async () => {
+        await render({value: [{text: 'a'}]});
+        act(() => ref.current.insert(1, {text: 'b'}));
+        assert.equal(calls.length, 1);
+        const [[value, changes]] = calls;
+        assert.deepEqual(texts(value), ['a', 'b']);
+        assert.deepEqual(Array.from(changes, change => change.type), ['add']);
+    });
+
+    it('undoes a change that the parent does not pass back in its value', async () => {
+        const value = [{text: 'a'}];
+        await render({value});
+        const [a] = badges();
+        act(() => ref.current.insert(1, {text: 'b'}));
+        assert.equal(calls.length, 1);
+        assert.deepEqual(texts(calls[0][0]), ['a', 'b']);
+        assert.deepEqual(badges(), [a]);
+        assert.deepEqual(texts(ref.current.value), ['a']);
+    });
+
+    it('keeps a change that the parent passes back in its value', async () => {
+        function Parent() {
+            const [value, setValue] = React.useState([{text: 'a'}]);
+            return createElement(BadgeEditableInput, {ref, value, onChange: setValue});
+        }
+        await act(() => root.render(createElement(Parent)));
+        const [a] = badges();
+        act(() => ref.current.insert(1, {text: 'b'}));
+        assert.deepEqual(badges().map(node => node.textContent), ['a', 'b']);
+        assert.equal(badges()[0], a);
+        const b = badges()[1];
+        act(() => ref.current.insert(2, {text: 'c'}));
+        assert.deepEqual(badges().slice(0, 2), [a, b]);
+        assert.deepEqual(texts(ref.current.value), ['a', 'b', 'c']);
+    });
+
+    it('begins with the default value when uncontrolled', async () => {
+        await render({defaultValue: [{text: 'x'}]});
+        await render({defaultValue: [{text: 'y'}]});
+        assert.deepEqual(texts(ref.current.value), ['x']);
+        assert.deepEqual(texts(ref.current.defaultValue), ['x']);
+    });
+
+    it('updates the parser and the change handler without a new control', async () => {
+        await render({value: [{text: 'a'}]});
+        const control = ref.current;
+        const element = window.document.querySelector('.form-control');
+        const comma = control.parser.parse;
+        const parse = text => comma(text);
+        const other = [];
+        await render({
+            value: [{text: 'a'}],
+            parser: {parse},
+            onChange: value => other.push(value),
+        });
+        assert.equal(ref.current, control);
+        assert.equal(window.document.querySelector('.form-control'), element);
+        assert.equal(ref.current.parser.parse, parse);
+        other.length = 0;
+        act(() => control.insert(1, {text: 'b'}));
+        assert.deepEqual(other.map(texts), [['a', 'b']]);
+        assert.equal(calls.length, 0);
+    });
+
+    it('assigns the properties of the control', async () => {
+        await render({value: [], placeholder: 'Tags', disabled: true});
+        assert.equal(ref.current.placeholder, 'Tags');
+        assert.equal(ref.current.disabled, true);
+        await render({value: [], placeholder: 'Labels', disabled: false});
+        assert.equal(ref.current.placeholder, 'Labels');
+        assert.equal(ref.current.disabled, false);
+    });
+});
@@ -0,0 +1,177 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEditor, spacerViolations } from './harness.mjs';
+
+const texts = values => Array.from(values, value => value.text);
+
+describe('textContent round trip', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+        const {parse} = editor.control.parser;
+        editor.control.parser = {parse, validate: value => value.text !== ' bad'};
+    });
+    afterEach(() => editor.close());
+
+    it('keeps invalid badges', () => {
+        editor.control.textContent = 'good, bad, ok';
+        assert.deepEqual(editor.texts(), ['', 'good', '', ' bad', '', ' ok', '']);
+        assert.ok(editor.badges()[1].classList.contains('badge-invalid'));
+        assert.deepEqual(texts(editor.control.value), ['good', ' ok']);
+        assert.equal(editor.control.textContent, 'good, bad, ok');
+    });
+
+    it('makes the badges of erroneous items invalid', () => {
+        editor.control.parser = {
+            parse: text => editor.window.BadgeEditable.CommaSeparatedParser(text)
+                .map(item => item.text === 'x' ? Object.assign(item, {error: 'No x'}) : item),
+        };
+        editor.control.textContent = 'a,x';
+        assert.ok(editor.badges()[1].classList.contains('badge-invalid'));
+        assert.deepEqual(editor.summary().pop(), ['add:a']);
+        assert.equal(editor.control.textContent, 'a,x');
+    });
+
+    it('separates the badges that have no source text', () => {
+        editor.control.value = [{text: 'p'}, {text: 'q'}];
+        assert.equal(editor.control.textContent, 'p,q');
+        editor.control.textContent = 'a, b';
+        editor.control.insert(2, {text: 'c'});
+        assert.equal(editor.control.textContent, 'a, b,c');
+    });
+
+    it('uses the separator of the parser', () => {
+        editor.control.parser = editor.window.BadgeEditable.parsers.words;
+        editor.control.value = [{text: 'p'}, {text: 'q'}];
+        assert.equal(String(editor.control), 'p q');
+        editor.control.fromString('x  y');
+        assert.deepEqual(texts(editor.control.value), ['x', 'y']);
+        assert.equal(editor.control.toString(), 'x  y');
+    });
+
+    const sources = {
+        comma: ['foo,bar', 'foo,,bar', 'foo, bar,', ',foo'],
+        delimited: ['foo,bar', 'foo;;bar', 'foo; bar,', ',foo'],
+        words: ['foo bar', ' foo  bar ', 'foo\nbar'],
+        csv: ['foo,bar', 'a "b, c",d', 'a,"x""y"', ',foo,'],
+        recipients: ['foo,bar', 'foo,,bar', 'foo, bar,', ',foo', '"Doe, Jane" <jane@example.com>; bob@example.com'],
+        filters: ['is:open  -label:"needs review"', ' a b '],
+    };
+    for (const [name, texts] of Object.entries(sources)) {
+        it(`round trips the text of the ${name} parser`, () => {
+            editor.control.parser = editor.window.BadgeEditable.parsers[name];
+            for (const text of texts) {
+                editor.control.textContent = text;
+                assert.equal(editor.control.textContent, text);
+            }
+        });
+    }
+
+    it('covers every parser', () => {
+        assert.deepEqual(Object.keys(sources), Object.keys(editor.window.BadgeEditable.parsers));
+    });
+
+    it('replaces the source text of a normalised item with its text', () => {
+        editor.control.parser = editor.window.BadgeEditable.parsers.recipients;
+        editor.control.textContent = '"Doe" <jane@example.com>, bob@example.com';
+        assert.equal(editor.control.textContent, 'Doe <jane@example.com>, bob@example.com');
+    });
+
+    it('keeps the delimiters of a badge as its validity changes', () => {
+        editor.control.parser = editor.window.BadgeEditable.parsers.recipients;
+        editor.control.textContent = 'foo,,bar';
+        editor.focus();
+        editor.placeCaret(1, 3);
+        editor.type('@example.com');
+        assert.ok(!editor.badges()[0].classList.contains('badge-invalid'));
+        assert.equal(editor.control.textContent, 'foo@example.com,,bar');
+        for (let i = 0; i < 4; i++) {
+            editor.press('Backspace');
+        }
+        assert.ok(editor.badges()[0].classList.contains('badge-invalid'));
+        assert.equal(editor.control.textContent, 'foo@example,,bar');
+    });
+});
+
+describe('JSON', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor();
+    });
+    afterEach(() => {
+        delete editor.window.BadgeEditable.sentinals.star;
+        editor.close();
+    });
+
+    it('drops the location, key and DOM nodes of each data object', () => {
+        editor.control.textContent = 'a,b';
+        editor.control.update(Number(editor.badges()[1].dataset.badgeKey),
+            {text: 'b', id: 2, icon: editor.document.createElement('i')});
+        assert.equal(JSON.stringify(editor.control), '[{"text":"a"},{"text":"b","id":2}]');
+    });
+
+    it('names the sentinal generators of the registry', () => {
+        const {sentinals} = editor.window.BadgeEditable;
+        sentinals.star = () => {
+            const star = editor.document.createElement('i');
+            star.textContent = '*';
+            return star;
+        };
+        editor.control.value = [{text: 'a', sentinal: sentinals.star}, {text: 'b', sentinal: () => editor.document.createElement('b')}];
+        const json = JSON.stringify(editor.control);
+        assert.equal(json, '[{"text":"a","sentinal":"star"},{"text":"b"}]');
+
+        editor.control.fromJSON('[]');
+        assert.deepEqual(editor.texts(), ['']);
+        editor.control.fromJSON(json);
+        assert.deepEqual(texts(editor.control.value), ['a', 'b']);
+        const [a, b] = editor.badges();
+        assert.equal(a.lastElementChild.nodeName, 'I');
+        assert.equal(b.lastElementChild.nodeName, 'BR');
+        assert.deepEqual(spacerViolations(editor), []);
+    });
+
+    it('ignores an unknown sentinal name', () => {
+        editor.control.fromJSON([{text: 'a', sentinal: 'missing'}]);
+        assert.equal(editor.badges()[0].lastElementChild.nodeName, 'BR');
+        assert.equal(JSON.stringify(editor.control), '[{"text":"a"}]');
+    });
+});
+
+describe('URL query', () => {
+    let editor;
+    beforeEach(() => {
+        editor = createEditor({name: 'filter'});
+        editor.control.parser = editor.window.BadgeEditable.parsers.filters;
+    });
+    afterEach(() => editor.close());
+
+    it('encodes each badge as a parameter named after the control', () => {
+        editor.control.textContent = 'is:open label:"needs review"';
+        assert.equal(editor.control.toSearchParams().toString(),
+            'filter=is%3Aopen&filter=label%3A%22needs+review%22');
+    });
+
+    it('replaces the parameters of the same name', () => {
+        editor.control.textContent = 'bug';
+        const params = new editor.window.URLSearchParams('?page=2&q=old&q=older');
+        assert.equal(editor.control.toSearchParams('q', params).toString(),
+            'page=2&q=bug');
+    });
+
+    it('restores the badges from a query string', () => {
+        editor.control.fromSearchParams('?page=2&filter=is%3Aopen&filter=label%3A%22needs+review%22');
+        assert.deepEqual(editor.texts(), ['', 'is:open', '', 'label:"needs review"', '']);
+        assert.deepEqual(Array.from(editor.control.value, value => value.value),
+            ['open', 'needs review']);
+        assert.equal(editor.control.textContent, 'is:open label:"needs review"');
+    });
+
+    it('round trips the badges through the parameters', () => {
+        editor.control.textContent = '-status:closed bug';
+        const params = editor.control.toSearchParams();
+        editor.control.textContent = '';
+        editor.control.fromSearchParams(params);
+        assert.deepEqual(texts(editor.control.value), ['-status:closed', 'bug']);
+    });
+});
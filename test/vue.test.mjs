@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installDocument } from './harness.mjs';
+
+const window = installDocument();
+const { createApp, h, nextTick, ref } = await import('vue');
+const { BadgeEditableInput } = await import('../dist/vue.mjs');
+
+const texts = values => Array.from(values, value => value.text);
+
+describe('BadgeEditableInput for Vue', () => {
+    let app;
+    let input;
+    let props;
+    let changes;
+    const mount = initial => {
+        props = ref(initial);
+        app = createApp({
+            render: () => h(BadgeEditableInput, Object.assign({
+                ref: input,
+                onChange: (value, batch) => changes.push([value, batch]),
+            }, props.value)),
+        });
+        app.mount('#root');
+    };
+    const badges = () => Array.from(window.document.querySelectorAll('.badge:not(.badge-empty)'));
+
+    beforeEach(() => {
+        input = ref(null);
+        changes = [];
+    });
+    afterEach(() => app.unmount());
+
+    it('shows the badges of the model value', () => {
+        mount({modelValue: [{text: 'a'}, {text: 'b'}]});
+        assert.deepEqual(badges().map(node => node.textContent), ['a', 'b']);
+        assert.deepEqual(changes, []);
+    });
+
+    it('keeps the badges that are unchanged by a new model value', async () => {
+        mount({modelValue: [{text: 'a'}, {text: 'b'}]});
+        const [a] = badges();
+        const [{key}] = input.value.control.value;
+        props.value = {modelValue: [{text: 'c'}, {key, text: 'a'}]};
+        await nextTick();
+        assert.deepEqual(badges().map(node => node.textContent), ['c', 'a']);
+        assert.equal(badges()[1], a);
+        assert.deepEqual(changes, []);
+    });
+
+    it('emits the changes made by the user for v-model', async () => {
+        const model = [];
+        mount({
+            modelValue: [{text: 'a'}],
+            'onUpdate:modelValue': value => model.push(value),
+        });
+        input.value.control.insert(1, {text: 'b'});
+        assert.deepEqual(model.map(texts), [['a', 'b']]);
+        assert.equal(changes.length, 1);
+        const [[value, batch]] = changes;
+        assert.equal(value, model[0]);
+        assert.deepEqual(batch.map(change => change.type), ['add']);
+        const [a, b] = badges();
+        props.value = {modelValue: value};
+        await nextTick();
+        assert.deepEqual(badges(), [a, b]);
+        assert.equal(changes.length, 1);
+    });
+
+    it('begins with the default value without a model value', () => {
+        mount({defaultValue: [{text: 'x'}]});
+        assert.deepEqual(texts(input.value.control.value), ['x']);
+        assert.deepEqual(texts(input.value.control.defaultValue), ['x']);
+    });
+
+    it('assigns changed props to the same control', async () => {
+        mount({modelValue: [], placeholder: 'Tags', disabled: true});
+        const {control} = input.value;
+        assert.equal(control.placeholder, 'Tags');
+        assert.equal(control.disabled, true);
+        props.value = {modelValue: [], placeholder: 'Labels', disabled: false};
+        await nextTick();
+        assert.equal(input.value.control, control);
+        assert.equal(control.placeholder, 'Labels');
+        assert.equal(control.disabled, false);
+    });
+});